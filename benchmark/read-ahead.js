@@ -0,0 +1,80 @@
+/**
+ * Benchmark of the readAhead option when concatenating many small files
+ * from storage with high open latency (simulated by delaying fs.open).
+ *
+ * Usage: node benchmark/read-ahead.js [file count] [open delay ms]
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Writable } = require('node:stream');
+
+const nodecat = require('../index.js');
+
+const fileCount = Number(process.argv[2]) || 200;
+const openDelayMs = Number(process.argv[3]) || 5;
+const readAheads = [0, 1, 4, 16];
+
+function createNullStream() {
+  return new Writable({
+    write(chunk, encoding, callback) {
+      callback();
+    },
+  });
+}
+
+async function timeCat(fileNames, readAhead) {
+  const start = performance.now();
+  await nodecat(fileNames, {
+    errStream: process.stderr,
+    outStream: createNullStream(),
+    readAhead,
+  });
+  return performance.now() - start;
+}
+
+async function main() {
+  const tmpDir = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), 'nodecat-bench-'),
+  );
+  try {
+    const fileNames = [];
+    for (let i = 0; i < fileCount; i += 1) {
+      const fileName = path.join(tmpDir, `shard-${i}.txt`);
+      fs.writeFileSync(fileName, `shard ${i}\n`.repeat(64));
+      fileNames.push(fileName);
+    }
+
+    // Simulate high-latency (e.g. network-mounted) storage
+    const { open } = fs;
+    fs.open = function delayedOpen(...args) {
+      setTimeout(() => open.apply(this, args), openDelayMs);
+    };
+
+    process.stdout.write(
+      `${fileCount} files, ${openDelayMs} ms open latency\n`,
+    );
+    for (const readAhead of readAheads) {
+      // eslint-disable-next-line no-await-in-loop
+      const ms = await timeCat(fileNames, readAhead);
+      process.stdout.write(
+        `readAhead ${String(readAhead).padStart(2)}: ${ms.toFixed(1)} ms\n`,
+      );
+    }
+
+    fs.open = open;
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true });
+  }
+}
+
+main().catch((err) => {
+  process.stderr.write(`${err.stack}\n`);
+  process.exitCode = 1;
+});
@@ -10,38 +10,571 @@
 'use strict';
 
 const assert = require('node:assert');
+const { getHashes } = require('node:crypto');
+const fs = require('node:fs');
 
 // https://github.com/import-js/eslint-plugin-import/issues/2844
 // eslint-disable-next-line import/extensions
 const nodecat = require('..');
+const { formatChecksumLine, parseChecksums } = require('../lib/checksum.js');
+const { MAX_COMPRESS_LEVELS } = require('../lib/compress.js');
+const { createNameMatcher, escapeGlob } = require('../lib/glob.js');
+const { parseRange } = require('../lib/range.js');
+const createReporter = require('../lib/report.js');
+const compileTemplate = require('../lib/template.js');
+
+const { TEMPLATE_FIELDS } = compileTemplate;
+
+// Long options which require an argument
+const longOptionsWithArg = new Set([
+  '--checksum',
+  '--checksum-file',
+  '--compress',
+  '--compress-level',
+  '--exclude',
+  '--follow-interval',
+  '--footer',
+  '--header',
+  '--inactivity-timeout',
+  '--include',
+  '--lines',
+  '--max-bytes',
+  '--on-error',
+  '--output',
+  '--preserve',
+  '--read-ahead',
+  '--report',
+  '--retries',
+  '--retry-delay',
+  '--separator',
+  '--skip-bytes',
+  '--sort',
+  '--timeout',
+  '--url-timeout',
+  '--verify',
+]);
+
+// Long options which accept an optional argument (with =)
+const longOptionsWithOptionalArg = new Set([
+  '--follow',
+]);
+
+// Values accepted by --follow
+const followModes = new Set(['descriptor', 'name']);
+
+// Values accepted by --on-error
+const errorPolicies = new Set(['continue', 'fail-fast', 'retry']);
+
+// Values accepted by --compress
+const compressFormats = new Set(['brotli', 'deflate', 'gzip']);
+
+// Characters for backslash escape sequences in --header, --footer, and
+// --separator, as for printf
+const escapeChars = new Map([
+  ['\\', '\\'],
+  ['0', '\0'],
+  ['a', '\u0007'],
+  ['b', '\b'],
+  ['e', '\u001B'],
+  ['f', '\f'],
+  ['n', '\n'],
+  ['r', '\r'],
+  ['t', '\t'],
+  ['v', '\v'],
+]);
+
+// Template for --headers, as for head -v
+const headHeader = '==> {name} <==\n';
+
+// Attributes accepted by --preserve, with the option each sets
+const preserveOptions = new Map([
+  ['mode', 'preserveMode'],
+  ['ownership', 'preserveOwnership'],
+]);
+
+// Values accepted by --report
+const reportFormats = new Set(['json', 'text']);
+
+// Values accepted by --sort
+const sortOrders = new Set(['mtime', 'name', 'natural']);
 
 function usage() {
-  return 'usage: nodecat [-u] [file...]\n';
+  return 'usage: nodecat [-AbEeFfnrsTtuvz] [-o file] [--checksum=algorithm]\n'
+    + '               [--checksum-file=file] [--checksum-inputs]\n'
+    + '               [--compress=gzip|deflate|brotli] '
+    + '[--compress-level=level]\n'
+    + '               [--exclude=pattern] [--follow[=descriptor|name]] '
+    + '[--follow-all]\n'
+    + '               [--follow-interval=ms] [--follow-symlinks] '
+    + '[--footer=template]\n'
+    + '               [--glob] [--header=template] [--headers] [--hidden]\n'
+    + '               [--inactivity-timeout=ms] [--include=pattern] '
+    + '[--keep-partial]\n'
+    + '               [--lines=start:end] [--max-bytes=count]\n'
+    + '               [--on-error=continue|fail-fast|retry] [--output=file]\n'
+    + '               [--preserve=mode,ownership] [--ranges] '
+    + '[--read-ahead=count]\n'
+    + '               [--report=text|json] [--retries=count] '
+    + '[--retry-delay=ms]\n'
+    + '               [--separator=text] [--skip-bytes=count]\n'
+    + '               [--sort=name|natural|mtime] [--stats] [--timeout=ms]\n'
+    + '               [--url-timeout=ms] [--urls] [--verify=manifest]\n'
+    + '               [file[@start:end]...]\n';
+}
+
+function parsePattern(name, value) {
+  try {
+    createNameMatcher(value);
+  } catch {
+    throw new Error(`invalid pattern '${value}' for ${name}`);
+  }
+
+  return value;
+}
+
+function parseCount(name, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`invalid count '${value}' for ${name}`);
+  }
+
+  return Number(value);
+}
+
+function parsePositiveCount(name, value) {
+  const count = parseCount(name, value);
+  if (count === 0) {
+    throw new Error(`invalid argument '${value}' for ${name}`);
+  }
+
+  return count;
+}
+
+function parseEscapes(value) {
+  // Unrecognized escape sequences are left unchanged, as by printf
+  return value.replaceAll(
+    /\\(.)/gs,
+    (sequence, ch) => escapeChars.get(ch) ?? sequence,
+  );
+}
+
+function parseTemplate(name, value) {
+  const template = parseEscapes(value);
+  try {
+    compileTemplate(template, TEMPLATE_FIELDS);
+  } catch (err) {
+    throw new Error(`invalid argument '${value}' for ${name}: ${err.message}`);
+  }
+
+  return template;
+}
+
+function parsePreserve(name, value) {
+  const preserve = {};
+  for (const attribute of value.split(',')) {
+    const option = preserveOptions.get(attribute);
+    if (!option) {
+      throw new Error(`invalid argument '${value}' for ${name}`);
+    }
+    preserve[option] = true;
+  }
+
+  return preserve;
+}
+
+function formatDuration(duration) {
+  return `${duration.toFixed(1)} ms`;
+}
+
+function formatStats(summary) {
+  const fileLines = summary.files.map((file) => {
+    const status = file.skipped ? ', skipped'
+      : file.error ? `, error: ${file.error.message}`
+        : '';
+    return `nodecat: ${file.fileName}: ${file.source}, ${file.bytes} bytes, `
+      + `${formatDuration(file.duration)}${status}\n`;
+  });
+  return `${fileLines.join('')}nodecat: total: ${summary.files.length} `
+    + `files, ${summary.bytesRead} bytes read, ${summary.bytesWritten} bytes `
+    + `written, ${formatDuration(summary.duration)}\n`;
+}
+
+function formatStatsJson(summary) {
+  return `${JSON.stringify({
+    type: 'summary',
+    files: summary.files.map((file) => ({
+      file: file.fileName,
+      source: file.source,
+      bytes: file.bytes,
+      duration: file.duration,
+      skipped: file.skipped,
+      // eslint-disable-next-line unicorn/no-null
+      error: file.error ? file.error.message : null,
+    })),
+    bytesRead: summary.bytesRead,
+    bytesWritten: summary.bytesWritten,
+    duration: summary.duration,
+  })}\n`;
+}
+
+// Gets the checksums of inputs (with --checksum-inputs or --verify) and of
+// output, if it was completed, as [fileName, digest] pairs
+function getChecksums(err, summary, outputName) {
+  const checksums = summary.files
+    .filter((file) => file.checksum !== undefined)
+    .map((file) => [file.fileName, file.checksum]);
+  if (!err && summary.checksum !== undefined) {
+    checksums.push([outputName, summary.checksum]);
+  }
+  return checksums;
+}
+
+function formatChecksums(checksums) {
+  return checksums
+    .map(([fileName, digest]) => formatChecksumLine(digest, fileName))
+    .join('');
+}
+
+function formatChecksumsJson(checksums, algorithm) {
+  return checksums
+    .map(([fileName, digest]) => `${JSON.stringify({
+      type: 'checksum',
+      file: fileName,
+      algorithm,
+      digest,
+    })}\n`)
+    .join('');
+}
+
+// Errors reading input are marked with the name of the file.  Others (and
+// errors for --output) occurred writing output.
+function isOutputError(err) {
+  return err.name === 'AggregateError' ? err.errors.some(isOutputError)
+    : err.fileName === undefined;
 }
 
 function parseArgs(args) {
+  const catOptions = {};
+  const fileNames = [];
   let dashdash = false;
+  // Number of file names before --, which may be glob patterns
+  let patternCount;
+  let headers = false;
+  let stats = false;
+  let checksumFile;
+  let verifyFile;
 
-  return args.slice(2).filter((arg) => {
+  for (let i = 2; i < args.length; i += 1) {
+    const arg = args[i];
     if (dashdash || arg === '-' || arg[0] !== '-') {
       // Non-option argument
-      return true;
-    }
-
-    if (arg === '--') {
+      fileNames.push(arg);
+    } else if (arg === '--') {
       // XBD non-option argument delimiter
       dashdash = true;
-      return false;
+      patternCount = fileNames.length;
+    } else if (arg[1] === '-') {
+      const eqIndex = arg.indexOf('=');
+      const name = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+      let value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+      if (longOptionsWithArg.has(name)) {
+        if (value === undefined) {
+          i += 1;
+          if (i >= args.length) {
+            throw new Error(`option requires an argument -- ${name}`);
+          }
+          value = args[i];
+        }
+      } else if (value !== undefined
+        && !longOptionsWithOptionalArg.has(name)) {
+        throw new Error(`option ${name} doesn't allow an argument`);
+      }
+
+      switch (name) {
+        case '--checksum':
+          if (!getHashes().includes(value)) {
+            throw new Error(`invalid argument '${value}' for ${name}`);
+          }
+          catOptions.checksum = value;
+          break;
+        case '--checksum-file':
+          if (value === '') {
+            throw new Error(`invalid argument '' for ${name}`);
+          }
+          checksumFile = value;
+          break;
+        case '--checksum-inputs':
+          catOptions.checksumInputs = true;
+          break;
+        case '--compress':
+          if (!compressFormats.has(value)) {
+            throw new Error(`invalid argument '${value}' for ${name}`);
+          }
+          catOptions.compress = value;
+          break;
+        case '--compress-level':
+          catOptions.compressLevel = parseCount(name, value);
+          break;
+        case '--decompress':
+          catOptions.decompress = true;
+          break;
+        case '--exclude':
+          catOptions.exclude = [
+            ...catOptions.exclude || [],
+            parsePattern(name, value),
+          ];
+          break;
+        case '--follow':
+          if (value !== undefined && !followModes.has(value)) {
+            throw new Error(`invalid argument '${value}' for ${name}`);
+          }
+          catOptions.follow = value || 'descriptor';
+          break;
+        case '--follow-all':
+          catOptions.followAll = true;
+          break;
+        case '--follow-interval':
+          catOptions.followInterval = parsePositiveCount(name, value);
+          break;
+        case '--follow-symlinks':
+          catOptions.followSymlinks = true;
+          break;
+        case '--footer':
+          catOptions.footer = parseTemplate(name, value);
+          break;
+        case '--glob':
+          catOptions.glob = true;
+          break;
+        case '--header':
+          catOptions.header = parseTemplate(name, value);
+          break;
+        case '--headers':
+          headers = true;
+          break;
+        case '--hidden':
+          catOptions.hidden = true;
+          break;
+        case '--inactivity-timeout':
+          catOptions.inactivityTimeout = parsePositiveCount(name, value);
+          break;
+        case '--include':
+          catOptions.include = [
+            ...catOptions.include || [],
+            parsePattern(name, value),
+          ];
+          break;
+        case '--keep-partial':
+          catOptions.keepPartial = true;
+          break;
+        case '--lines':
+          try {
+            catOptions.lines = parseRange(value);
+          } catch {
+            throw new Error(`invalid argument '${value}' for ${name}`);
+          }
+          break;
+        case '--max-bytes':
+          catOptions.maxBytes = parseCount(name, value);
+          break;
+        case '--on-error':
+          if (!errorPolicies.has(value)) {
+            throw new Error(`invalid argument '${value}' for ${name}`);
+          }
+          catOptions.onError = value;
+          break;
+        case '--output':
+          catOptions.outputFile = value;
+          break;
+        case '--preserve':
+          Object.assign(catOptions, parsePreserve(name, value));
+          break;
+        case '--ranges':
+          catOptions.ranges = true;
+          break;
+        case '--read-ahead':
+          catOptions.readAhead = parseCount(name, value);
+          break;
+        case '--recursive':
+          catOptions.recursive = true;
+          break;
+        case '--report':
+          if (!reportFormats.has(value)) {
+            throw new Error(`invalid argument '${value}' for ${name}`);
+          }
+          catOptions.report = value;
+          break;
+        case '--retries':
+          catOptions.retries = parseCount(name, value);
+          break;
+        case '--retry-delay':
+          catOptions.retryDelay = parseCount(name, value);
+          break;
+        case '--separator':
+          catOptions.separator = parseEscapes(value);
+          break;
+        case '--skip-bytes':
+          catOptions.skipBytes = parseCount(name, value);
+          break;
+        case '--sort':
+          if (!sortOrders.has(value)) {
+            throw new Error(`invalid argument '${value}' for ${name}`);
+          }
+          catOptions.sort = value;
+          break;
+        case '--stats':
+          stats = true;
+          break;
+        case '--timeout':
+          catOptions.timeout = parsePositiveCount(name, value);
+          break;
+        case '--url-timeout':
+          catOptions.urlTimeout = parseCount(name, value);
+          break;
+        case '--urls':
+          catOptions.urls = true;
+          break;
+        case '--verify':
+          if (value === '') {
+            throw new Error(`invalid argument '' for ${name}`);
+          }
+          verifyFile = value;
+          break;
+        default:
+          throw new Error(`illegal option -- ${arg}`);
+      }
+    } else {
+      for (let j = 1; j < arg.length; j += 1) {
+        const opt = arg[j];
+        switch (opt) {
+          case 'A':
+            catOptions.showEnds = true;
+            catOptions.showNonprinting = true;
+            catOptions.showTabs = true;
+            break;
+          case 'b':
+            catOptions.numberNonblank = true;
+            break;
+          case 'E':
+            catOptions.showEnds = true;
+            break;
+          case 'e':
+            catOptions.showEnds = true;
+            catOptions.showNonprinting = true;
+            break;
+          case 'F':
+            catOptions.follow = 'name';
+            break;
+          case 'f':
+            catOptions.follow = 'descriptor';
+            break;
+          case 'n':
+            catOptions.number = true;
+            break;
+          case 'o':
+            // Argument is the rest of arg, or the next argument, as getopt
+            if (j + 1 < arg.length) {
+              catOptions.outputFile = arg.slice(j + 1);
+              j = arg.length;
+            } else {
+              i += 1;
+              if (i >= args.length) {
+                throw new Error('option requires an argument -- o');
+              }
+              catOptions.outputFile = args[i];
+            }
+            break;
+          case 'r':
+            catOptions.recursive = true;
+            break;
+          case 's':
+            catOptions.squeezeBlank = true;
+            break;
+          case 'T':
+            catOptions.showTabs = true;
+            break;
+          case 't':
+            catOptions.showNonprinting = true;
+            catOptions.showTabs = true;
+            break;
+          case 'u':
+            // POSIX/SUSv3 -u unbuffered I/O option
+            // Node output is already unbuffered, so -u option is ignored
+            break;
+          case 'v':
+            catOptions.showNonprinting = true;
+            break;
+          case 'z':
+            catOptions.decompress = true;
+            break;
+          default:
+            throw new Error(`illegal option -- -${opt}`);
+        }
+      }
+    }
+  }
+
+  if (catOptions.outputFile === '') {
+    throw new Error('invalid argument \'\' for --output');
+  }
+  if (catOptions.outputFile === undefined) {
+    if (catOptions.keepPartial) {
+      throw new Error('option --keep-partial requires --output');
     }
+    if (catOptions.preserveMode || catOptions.preserveOwnership) {
+      throw new Error('option --preserve requires --output');
+    }
+  }
 
-    if (/^-u+$/.test(arg)) {
-      // POSIX/SUSv3 -u unbuffered I/O option
-      // Node output is already unbuffered, so -u option is ignored
-      return false;
+  if (catOptions.checksum === undefined) {
+    if (checksumFile !== undefined) {
+      throw new Error('option --checksum-file requires --checksum');
+    }
+    if (catOptions.checksumInputs) {
+      throw new Error('option --checksum-inputs requires --checksum');
+    }
+    if (verifyFile !== undefined) {
+      throw new Error('option --verify requires --checksum');
     }
+  }
 
-    throw new Error(`illegal option -- ${arg}`);
-  });
+  if (catOptions.onError !== 'retry') {
+    if (catOptions.retries !== undefined) {
+      throw new Error('option --retries requires --on-error=retry');
+    }
+    if (catOptions.retryDelay !== undefined) {
+      throw new Error('option --retry-delay requires --on-error=retry');
+    }
+  }
+
+  if (catOptions.compressLevel !== undefined) {
+    if (!catOptions.compress) {
+      throw new Error('option --compress-level requires --compress');
+    }
+    const maxLevel = MAX_COMPRESS_LEVELS.get(catOptions.compress);
+    if (catOptions.compressLevel > maxLevel) {
+      throw new Error(`invalid level '${catOptions.compressLevel}' for `
+        + `--compress=${catOptions.compress} (maximum ${maxLevel})`);
+    }
+  }
+
+  if (headers) {
+    catOptions.header ??= headHeader;
+    catOptions.separator ??= '\n';
+  }
+
+  if (catOptions.glob && patternCount !== undefined) {
+    // Treat file names after -- literally
+    for (let i = patternCount; i < fileNames.length; i += 1) {
+      fileNames[i] = escapeGlob(fileNames[i]);
+    }
+  }
+
+  return {
+    catOptions,
+    checksumFile,
+    fileNames,
+    stats,
+    verifyFile,
+  };
 }
 
 /** Options for command entry points.
@@ -49,7 +582,8 @@ function parseArgs(args) {
  * @typedef {{
  *   inStream: (module:stream.Readable|undefined),
  *   outStream: (module:stream.Writable|undefined),
- *   errStream: (module:stream.Writable|undefined)
+ *   errStream: (module:stream.Writable|undefined),
+ *   signal: (AbortSignal|undefined)
  * }} CommandOptions
  * @property {module:stream.Readable=} inStream Stream from which the file
  * named '-' (also the default if no file names are given) is read.
@@ -59,6 +593,9 @@ function parseArgs(args) {
  * @property {module:stream.Writable=} errStream Stream to which errors (and
  * non-output status messages) are written.
  * (default: <code>process.stderr</code>)
+ * @property {AbortSignal=} signal Signal which stops the command.  If it is
+ * aborted before all files have been read, the callback is called with the
+ * <code>AbortError</code> from {@link nodecat}.
  */
 // var CommandOptions;
 
@@ -101,6 +638,7 @@ function nodecatCmd(args, options, callback) {
       inStream: (options && options.inStream) || process.stdin,
       outStream: (options && options.outStream) || process.stdout,
       errStream: (options && options.errStream) || process.stderr,
+      signal: options && options.signal,
     };
 
     if (!options.inStream || typeof options.inStream.pipe !== 'function') {
@@ -112,6 +650,11 @@ function nodecatCmd(args, options, callback) {
     if (!options.errStream || typeof options.errStream.write !== 'function') {
       throw new TypeError('options.errStream must be a stream.Writable');
     }
+    if (options.signal !== undefined
+      && (!options.signal
+        || typeof options.signal.addEventListener !== 'function')) {
+      throw new TypeError('options.signal must be an AbortSignal');
+    }
   } catch (err) {
     queueMicrotask(() => {
       callback(err);
@@ -119,9 +662,9 @@ function nodecatCmd(args, options, callback) {
     return undefined;
   }
 
-  let fileNames;
+  let parsedArgs;
   try {
-    fileNames = parseArgs(args);
+    parsedArgs = parseArgs(args);
   } catch (errArgs) {
     options.errStream.write(`nodecat: ${errArgs.message}\n${usage()}`);
     // Use null to preserve existing behavior
@@ -130,23 +673,135 @@ function nodecatCmd(args, options, callback) {
     return undefined;
   }
 
+  let { fileNames } = parsedArgs;
   if (fileNames.length === 0) {
     // Process stdin by default
     fileNames = ['-'];
   }
 
   const catOptions = {
+    ...parsedArgs.catOptions,
     errStream: options.errStream,
     fileStreams: {
       '-': options.inStream,
     },
-    outStream: options.outStream,
   };
-  nodecat(fileNames, catOptions, (err) => {
-    // Note:  Error message, if any, was printed when it occurred
-    // Use null to preserve existing behavior
-    // eslint-disable-next-line unicorn/no-null
-    callback(null, err ? 1 : 0);
+  if (!catOptions.outputFile) {
+    catOptions.outStream = options.outStream;
+  }
+
+  const reporter = createReporter(options.errStream, catOptions.report);
+
+  function run() {
+    // Stop following files on SIGINT, then finish output and exit normally
+    const { signal } = options;
+    let onSigint;
+    let onAbort;
+    if (catOptions.follow) {
+      const abortController = new AbortController();
+      catOptions.signal = abortController.signal;
+      onSigint = () => abortController.abort();
+      process.once('SIGINT', onSigint);
+      if (signal) {
+        onAbort = () => abortController.abort(signal.reason);
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort);
+        }
+      }
+    } else {
+      catOptions.signal = signal;
+    }
+
+    nodecat(fileNames, catOptions, (err, summary) => {
+      if (onSigint) {
+        process.removeListener('SIGINT', onSigint);
+      }
+      if (onAbort) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      function finish(errChecksumFile) {
+        if (parsedArgs.stats && summary) {
+          options.errStream.write(catOptions.report === 'json'
+            ? formatStatsJson(summary)
+            : formatStats(summary));
+        }
+
+        if (err && err.name === 'AbortError') {
+          if (signal && signal.aborted) {
+            callback(err);
+            return;
+          }
+
+          // SIGINT before following started.  Exit as if killed by SIGINT.
+          // Use null to preserve existing behavior
+          // eslint-disable-next-line unicorn/no-null
+          callback(null, 130);
+          return;
+        }
+
+        // Note:  Error message, if any, was printed when it occurred
+        // Exit 2 if output (or --checksum-file) failed, 1 if inputs failed.
+        const code = !err && !errChecksumFile ? 0
+          : errChecksumFile || isOutputError(err) ? 2
+            : 1;
+        // Use null to preserve existing behavior
+        // eslint-disable-next-line unicorn/no-null
+        callback(null, code);
+      }
+
+      if (!catOptions.checksum || !summary) {
+        finish();
+        return;
+      }
+
+      const checksums =
+        getChecksums(err, summary, catOptions.outputFile || '-');
+      const { checksumFile } = parsedArgs;
+      if (checksumFile === undefined) {
+        options.errStream.write(catOptions.report === 'json'
+          ? formatChecksumsJson(checksums, catOptions.checksum)
+          : formatChecksums(checksums));
+        finish();
+        return;
+      }
+
+      fs.writeFile(checksumFile, formatChecksums(checksums), (errWrite) => {
+        if (errWrite) {
+          reporter.error(errWrite, checksumFile, true);
+        }
+        finish(errWrite);
+      });
+    });
+  }
+
+  const { verifyFile } = parsedArgs;
+  if (verifyFile === undefined) {
+    run();
+    return undefined;
+  }
+
+  fs.readFile(verifyFile, 'utf8', (errRead, manifest) => {
+    let errVerify = errRead;
+    if (!errVerify) {
+      try {
+        catOptions.verify = parseChecksums(manifest);
+      } catch (errParse) {
+        errVerify = errParse;
+      }
+    }
+
+    if (errVerify) {
+      reporter.error(errVerify, verifyFile);
+      // Use null to preserve existing behavior
+      // eslint-disable-next-line unicorn/no-null
+      callback(null, 1);
+      return;
+    }
+
+    run();
   });
   return undefined;
 }
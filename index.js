@@ -6,25 +6,2215 @@
 
 'use strict';
 
+const { createHash, getHashes } = require('node:crypto');
 const fs = require('node:fs');
+const stream = require('node:stream');
+const { fileURLToPath } = require('node:url');
+
+const createCompressStream = require('./lib/compress.js');
+const copyFd = require('./lib/copy-fd.js');
+const decompress = require('./lib/decompress.js');
+const followFiles = require('./lib/follow.js');
+const createFormatStream = require('./lib/format-stream.js');
+const { createNameMatcher, expandGlob } = require('./lib/glob.js');
+const {
+  createRangeStream,
+  sliceBytes,
+  sliceLines,
+  splitRange,
+} = require('./lib/range.js');
+const createReporter = require('./lib/report.js');
+const createRetryStream = require('./lib/retry-stream.js');
+const { finishTempFile, openTempFile } = require('./lib/temp-file.js');
+const compileTemplate = require('./lib/template.js');
+const { createUrlStream, parseUrl } = require('./lib/url-stream.js');
+const walkDir = require('./lib/walk.js');
+
+const { MAX_COMPRESS_LEVELS } = createCompressStream;
+const { TEMPLATE_FIELDS } = compileTemplate;
+
+// Size of the buffer used to copy regular files to a regular file
+const COPY_BUFFER_SIZE = 1024 * 1024;
+
+// Default number of consecutive retries with onError retry
+const DEFAULT_RETRIES = 3;
+
+// Default delay before the first retry with onError retry, in milliseconds
+const DEFAULT_RETRY_DELAY = 100;
 
 /** Options for {@link nodecat}.
  *
- * @typedef {{
- *   fileStreams: (Object<string,!module:stream.Readable>|undefined),
- *   outStream: (module:stream.Writable|undefined),
- *   errStream: (module:stream.Writable|undefined)
- * }} NodecatOptions
- * @property {Object<string,!module:stream.Readable>=} fileStreams Mapping from
- * file names to readable streams which will be read for the named file.  If
- * the file appears multiple times, the stream is only read once.
- * @property {module:stream.Writable=} outStream Stream to which concatenated
- * output is written. (default: <code>process.stdout</code>)
- * @property {module:stream.Writable=} errStream Stream to which errors (and
- * non-output status messages) are written.
- * (default: <code>process.stderr</code>)
+ * @typedef {{
+ *   checksum: (string|undefined),
+ *   checksumInputs: (boolean|undefined),
+ *   compress: (string|undefined),
+ *   compressLevel: (number|undefined),
+ *   decompress: (boolean|undefined),
+ *   emitter: (module:events.EventEmitter|undefined),
+ *   exclude: (Array<string>|undefined),
+ *   fileStreams: (Object<string,!module:stream.Readable>|undefined),
+ *   follow: (string|undefined),
+ *   followAll: (boolean|undefined),
+ *   followInterval: (number|undefined),
+ *   followSymlinks: (boolean|undefined),
+ *   footer: (string|undefined),
+ *   glob: (boolean|undefined),
+ *   header: (string|undefined),
+ *   hidden: (boolean|undefined),
+ *   inactivityTimeout: (number|undefined),
+ *   include: (Array<string>|undefined),
+ *   keepPartial: (boolean|undefined),
+ *   lines: ({start: (number|undefined), end: (number|undefined)}|undefined),
+ *   maxBytes: (number|undefined),
+ *   number: (boolean|undefined),
+ *   numberNonblank: (boolean|undefined),
+ *   onError: (string|undefined),
+ *   outStream: (module:stream.Writable|undefined),
+ *   outputFile: (string|undefined),
+ *   outputTransforms: (Array<OutputTransform>|undefined),
+ *   preserveMode: (boolean|undefined),
+ *   preserveOwnership: (boolean|undefined),
+ *   ranges: (boolean|undefined),
+ *   readAhead: (number|undefined),
+ *   recursive: (boolean|undefined),
+ *   report: (string|undefined),
+ *   retries: (number|undefined),
+ *   retryDelay: (number|undefined),
+ *   errStream: (module:stream.Writable|undefined),
+ *   separator: (string|undefined),
+ *   showEnds: (boolean|undefined),
+ *   showNonprinting: (boolean|undefined),
+ *   showTabs: (boolean|undefined),
+ *   signal: (AbortSignal|undefined),
+ *   skipBytes: (number|undefined),
+ *   sort: (string|undefined),
+ *   squeezeBlank: (boolean|undefined),
+ *   timeout: (number|undefined),
+ *   transforms: (Array<FileTransform>|undefined),
+ *   urls: (boolean|undefined),
+ *   urlTimeout: (number|undefined),
+ *   verify: (Map<string,string>|undefined)
+ * }} NodecatOptions
+ * @property {string=} checksum Hash algorithm supported by
+ * <code>node:crypto</code> (e.g. <code>sha256</code>) with which to compute
+ * the checksum of the output written to <code>outStream</code>, as it is
+ * written, for <code>checksum</code> in {@link NodecatSummary}.
+ * @property {boolean=} checksumInputs Also compute the checksum of the
+ * content read from each file (before <code>transforms</code>), for
+ * <code>checksum</code> in {@link FileSummary}.  Requires
+ * <code>checksum</code>.
+ * @property {string=} compress Compress output using <code>gzip</code>,
+ * <code>deflate</code> (zlib), or <code>brotli</code> after
+ * <code>outputTransforms</code>.  Errors from compression are treated as
+ * write errors.  Compressed output is finished after read errors, so that
+ * content from other files can be decompressed.
+ * @property {number=} compressLevel Compression level:  0 to 9 for
+ * <code>gzip</code> and <code>deflate</code>, 0 to 11 for
+ * <code>brotli</code>.  (default: zlib default for the format)
+ * @property {boolean=} decompress Decompress gzip (including concatenated
+ * multi-member gzip), zlib (deflate), and brotli files, as by
+ * <code>zcat</code>, before <code>transforms</code>.  gzip and zlib files are
+ * recognized by content (except zlib compressed at levels 2-5, whose header
+ * is indistinguishable from text starting with <code>x^</code>).  Brotli
+ * files are recognized by a <code>.br</code> extension, since brotli has no
+ * magic number.  Other content is passed through unchanged.  Errors from
+ * corrupt content are treated as read errors of the file.
+ * @property {module:events.EventEmitter=} emitter Emitter on which progress
+ * events are emitted:
+ * <dl>
+ * <dt><code>fileStart</code> (<code>fileName</code>)</dt>
+ * <dd>Emitted when reading of a file starts.</dd>
+ * <dt><code>fileEnd</code> (<code>fileName</code>,
+ * <code>byteCount</code>)</dt>
+ * <dd>Emitted when a file has been read without error, with the number of
+ * bytes read from it (after <code>transforms</code>).</dd>
+ * <dt><code>fileError</code> (<code>err</code>)</dt>
+ * <dd>Emitted when an error occurs reading a file.  <code>err.fileName</code>
+ * is the name of the file.</dd>
+ * <dt><code>progress</code> (<code>bytesWritten</code>)</dt>
+ * <dd>Emitted when output is written, with the total number of bytes written
+ * to <code>outStream</code>.</dd>
+ * <dt><code>finish</code> (<code>err</code>, <code>summary</code>)</dt>
+ * <dd>Emitted when concatenation is complete, with the values passed to the
+ * callback.</dd>
+ * </dl>
+ * @property {Array<string>=} exclude Glob patterns for names of files and
+ * directories to skip with <code>recursive</code>.
+ * @property {Object<string,!module:stream.Readable>=} fileStreams Mapping from
+ * file names to readable streams which will be read for the named file.  If
+ * the file appears multiple times, the stream is only read once.
+ * @property {string=} follow After concatenating all files, follow the last
+ * named file (or all named files, with <code>followAll</code>) and write data
+ * appended to it, as by <code>tail -f</code>, until <code>signal</code> is
+ * aborted.  <code>descriptor</code> follows the file which was read, even if
+ * it is renamed or removed, but not a file which replaced it before following
+ * started.  <code>name</code> follows the file with the
+ * name, reading a new file when it is replaced (e.g. by log rotation), and
+ * waits for it to be created if it does not exist.  A file which becomes
+ * smaller than the data read has been truncated and is read from the start.
+ * Appended data is not decompressed or transformed by
+ * <code>transforms</code>.  Streams and URLs are not followed.
+ * @property {boolean=} followAll Follow all named files, rather than only the
+ * last, with <code>follow</code>.  With <code>header</code>, a header is
+ * written before data from a different file than the previous data.
+ * @property {number=} followInterval Time between checks for appended data
+ * with <code>follow</code>, in milliseconds.  (default: 1000)
+ * @property {boolean=} followSymlinks Follow symbolic links in directories
+ * with <code>recursive</code>.  By default, symbolic links in directories
+ * are skipped (symbolic links named in <code>fileNames</code> are always
+ * followed).  Links to directories being walked are skipped, to avoid
+ * cycles.
+ * @property {string=} footer Template for text written after the content of
+ * each file, with placeholders as for <code>header</code>.
+ * @property {boolean=} glob Expand file names as glob patterns, for shells
+ * which do not (e.g. <code>cmd.exe</code>).  Supports <code>*</code>,
+ * <code>?</code>, <code>[...]</code>, <code>**</code>, and brace sets.
+ * Matches are sorted.  A pattern which does not match any files causes an
+ * <code>Error</code> with <code>code</code> <code>ENOMATCH</code>, reported
+ * in its place.  Names in <code>fileStreams</code> are not expanded.  See
+ * {@link module:nodecat/lib/glob.js} for escaping.
+ * @property {string=} header Template for text written before the content of
+ * each file.  <code>{name}</code> is replaced by the file name,
+ * <code>{index}</code> by its position (starting at 1), and
+ * <code>{size}</code> and <code>{mtime}</code> by its size in bytes and
+ * modification time (ISO 8601) for named files, or by an empty string for
+ * streams and URLs.  <code>{{</code> and <code>}}</code> produce literal
+ * braces.  Text is written before formatting and
+ * <code>outputTransforms</code>.  Named files are checked before the header
+ * is written, so files which do not exist produce only an error.  For
+ * headers like <code>head -v</code>, use <code>'==> {name} <==\n'</code>
+ * with <code>separator</code> <code>'\n'</code>.
+ * @property {boolean=} hidden Include files and directories with names
+ * starting with <code>.</code> with <code>recursive</code>.
+ * @property {number=} inactivityTimeout Maximum time to wait for data from
+ * each file, in milliseconds.  If exceeded, the file is treated as having a
+ * read error with <code>code</code> <code>ETIMEDOUT</code>, it is unpiped
+ * and destroyed (except <code>fileStreams</code>, which are only unpiped and
+ * not read again), and concatenation continues with the next file.  Time
+ * spent waiting for output to drain is not counted.  (default: no limit)
+ * @property {Array<string>=} include Glob patterns for names of files to
+ * concatenate with <code>recursive</code>.  By default, all regular files are
+ * concatenated.
+ * @property {boolean=} keepPartial Rename the temporary file to
+ * <code>outputFile</code> even if there were errors.  Output written before
+ * a write error may be incomplete.
+ * @property {{start: (number|undefined), end: (number|undefined)}=} lines
+ * Range of lines of each file to write, from <code>start</code>
+ * (inclusive, default 0) to <code>end</code> (exclusive, default end of file),
+ * counting from 0.  For example, <code>{start: 10, end: 20}</code> writes the
+ * 11th to 20th lines, as by <code>sed -n 11,20p</code>.  Applied after
+ * <code>decompress</code> and before <code>transforms</code>.  Reading stops
+ * after <code>end</code>.
+ * @property {number=} maxBytes Maximum number of bytes to read from each file,
+ * after <code>skipBytes</code> and any range suffix.
+ * @property {boolean=} number Number all output lines, as by
+ * <code>cat -n</code>.  Numbering continues across files.
+ * @property {boolean=} numberNonblank Number non-blank output lines, as by
+ * <code>cat -b</code>.  Overrides <code>number</code>.
+ * @property {string=} onError What to do after a read error:
+ * <code>continue</code> with the next file, <code>fail-fast</code> to stop
+ * without reading (or opening) the remaining files, then finish output and
+ * call back with the error, or <code>retry</code> to open named files again
+ * after errors which may be transient (<code>code</code>
+ * <code>EAGAIN</code>, <code>EBUSY</code>, <code>EIO</code>, or
+ * <code>ESTALE</code>) and continue reading from the offset after the data
+ * already read, then <code>continue</code> after other errors.  With
+ * <code>retry</code>, named files are read using streams, rather than copied
+ * directly to <code>outStream</code>.  (default: <code>continue</code>)
+ * @property {module:stream.Writable=} outStream Stream to which concatenated
+ * output is written. (default: <code>process.stdout</code>)  If it is a
+ * regular file, inputs which are the same file (and not empty) are not read,
+ * since output could grow as it is read, and are reported as errors with
+ * <code>code</code> <code>ESAMEFILE</code>, as by GNU cat.
+ * @property {string=} outputFile Name of a file to which concatenated output
+ * is written, instead of <code>outStream</code>.  Output is written to a
+ * temporary file in the same directory, which is synced to storage and
+ * renamed to <code>outputFile</code> only if there were no errors, so that
+ * <code>outputFile</code> is never left partially written.  Not supported by
+ * {@link createReadStream} or {@link iterate}.
+ * @property {Array<OutputTransform>=} outputTransforms Transforms applied, in
+ * order, to the concatenated output before it is written to
+ * <code>outStream</code>.  Errors from these transforms are treated as write
+ * errors.
+ * @property {boolean=} preserveMode Set the mode (permissions) of
+ * <code>outputFile</code> to the mode of the file it replaces, if any.
+ * Otherwise, it is created with the default mode (as by shell redirection).
+ * @property {boolean=} preserveOwnership Set the owner and group of
+ * <code>outputFile</code> to those of the file it replaces, if any.
+ * Changing the owner is usually only permitted for the superuser.  If it
+ * fails, no input is read.
+ * @property {boolean=} ranges Read a range of bytes from file names with a
+ * <code>@START:END</code> suffix (e.g. <code>file.bin@1024:4096</code>), from
+ * offset <code>START</code> (inclusive, default 0) to <code>END</code>
+ * (exclusive, default end of file).  Other names are read whole.  A file
+ * with a name ending in <code>@START:END</code> can be read with an empty
+ * range suffix (e.g. <code>a@1:2@:</code>).  Suffixes with <code>END</code>
+ * before <code>START</code> are errors.
+ * @property {number=} readAhead Number of named files after the current file
+ * to open and start reading before their turn, to reduce the delay between
+ * files on high-latency storage.  Each file buffers at most its
+ * <code>highWaterMark</code> (64 KiB) until its turn.  (default: 0)
+ * @property {boolean=} recursive Concatenate the regular files in each named
+ * directory and its subdirectories, in the order given by <code>sort</code>.
+ * Other types of files (devices, pipes, sockets) in directories are skipped.
+ * @property {string=} report Format of errors and notices written to
+ * <code>errStream</code>:  <code>text</code> lines of the form
+ * <code>nodecat: file: message</code>, or <code>json</code> records, one per
+ * line, with <code>type</code> (<code>error</code> or <code>notice</code>),
+ * <code>file</code>, <code>output</code> (whether the error occurred writing
+ * output), <code>code</code>, <code>errno</code>, <code>syscall</code>, and
+ * <code>message</code>.  (default: <code>text</code>)
+ * @property {number=} retries Maximum number of consecutive retries of a
+ * file (without reading any data in between) with <code>onError</code>
+ * <code>retry</code>.  (default: 3)
+ * @property {number=} retryDelay Time to wait before retrying a file with
+ * <code>onError</code> <code>retry</code>, in milliseconds.  Doubled for each
+ * consecutive retry.  (default: 100)
+ * @property {module:stream.Writable=} errStream Stream to which errors (and
+ * non-output status messages) are written.
+ * (default: <code>process.stderr</code>)
+ * @property {string=} separator Text written between the content (and
+ * <code>header</code> and <code>footer</code>) of files, but not before the
+ * first or after the last.  Files with errors before any output (or skipped
+ * streams) are not separated.
+ * @property {boolean=} showEnds Display <code>$</code> at the end of each
+ * line, as by <code>cat -E</code>.
+ * @property {boolean=} showNonprinting Display control characters and bytes
+ * with the high bit set using <code>^</code> and <code>M-</code> notation, as
+ * by <code>cat -v</code>.
+ * @property {boolean=} showTabs Display tab characters as <code>^I</code>,
+ * as by <code>cat -T</code>.
+ * @property {AbortSignal=} signal Signal which stops concatenation.  The
+ * current input is unpiped and destroyed (except <code>fileStreams</code>,
+ * which are only unpiped), remaining files are skipped, and the callback is
+ * called with an <code>Error</code> with <code>name</code>
+ * <code>AbortError</code> (and <code>cause</code> <code>signal.reason</code>).
+ * Once all files have been read, it stops following files with
+ * <code>follow</code>, then output is finished and the callback is called as
+ * if following had ended normally.
+ * @property {number=} skipBytes Number of bytes to skip at the start of each
+ * file (or range, with <code>ranges</code>).  Byte ranges are read before
+ * <code>decompress</code>.  Regular files are read from the start of the
+ * range, without reading skipped content.  Other files and streams are read
+ * from the start and skipped content is discarded.
+ * @property {string=} sort Order of files in directories with
+ * <code>recursive</code>:  <code>name</code> (by UTF-16 code unit, which does
+ * not depend on locale), <code>natural</code> (with runs of digits compared
+ * by numeric value, so <code>9.sql</code> sorts before <code>10.sql</code>),
+ * or <code>mtime</code> (by modification time, oldest first).  For
+ * <code>name</code> and <code>natural</code>, the content of each
+ * subdirectory is sorted in place of its name.  (default: <code>name</code>)
+ * @property {boolean=} squeezeBlank Suppress repeated blank lines, as by
+ * <code>cat -s</code>.  Blank lines are squeezed across chunk and file
+ * boundaries.
+ * @property {number=} timeout Maximum time to read each file, from when it
+ * is opened to its end, in milliseconds.  If exceeded, the file is treated
+ * as for <code>inactivityTimeout</code>.  (default: no limit)
+ * @property {Array<FileTransform>=} transforms Transforms applied, in order,
+ * to the content of each file before it is concatenated.  Errors from these
+ * transforms are treated as read errors for the file.
+ * @property {boolean=} urls Read file names which are <code>data:</code>,
+ * <code>file:</code>, <code>http:</code>, or <code>https:</code> URLs from
+ * the URL.  HTTP redirects are followed.  Non-2xx responses and network
+ * failures are read errors of the URL.  Prefix a path with <code>./</code>
+ * to read a file with a name which would be a URL (e.g.
+ * <code>./http:x</code>).
+ * @property {number=} urlTimeout Maximum time to wait for a response from
+ * an <code>http:</code> or <code>https:</code> URL, in milliseconds.  Read
+ * error <code>code</code> is <code>ETIMEDOUT</code> if exceeded.
+ * (default: no limit)
+ * @property {Map<string,string>=} verify Expected hex-encoded checksums
+ * (computed using <code>checksum</code>) of the content read from files, by
+ * file name.  A file with a different checksum is reported as a read error
+ * with <code>code</code> <code>ECHECKSUM</code> once it has been read.
+ * Files which are not in the <code>Map</code> are not verified.  Names in
+ * the <code>Map</code> which are not in <code>fileNames</code> are reported
+ * as read errors with <code>code</code> <code>ECHECKSUM</code> once all
+ * files have been read.  Requires <code>checksum</code>.
+ */
+// var NodecatOptions;
+
+/** Summary of an input file read by {@link nodecat}.
+ *
+ * @typedef {{
+ *   fileName: string,
+ *   source: string,
+ *   bytes: number,
+ *   duration: number,
+ *   skipped: boolean,
+ *   error: (!Error|undefined),
+ *   checksum: (string|undefined)
+ * }} FileSummary
+ * @property {string} fileName Name of the file.
+ * @property {string} source Source of the file content:
+ * <code>'file'</code> for a named file, <code>'url'</code> for a URL (with
+ * <code>options.urls</code>), or <code>'stream'</code> for a stream from
+ * <code>options.fileStreams</code>.
+ * @property {number} bytes Number of bytes read from the file (after
+ * <code>transforms</code>).
+ * @property {number} duration Time spent reading the file, in milliseconds.
+ * @property {boolean} skipped <code>true</code> if the file was not read
+ * because its stream from <code>options.fileStreams</code> had already been
+ * read.
+ * @property {!Error=} error Error which occurred reading the file, if any.
+ * @property {string=} checksum Hex-encoded checksum of the content read from
+ * the file (with <code>options.checksumInputs</code> or
+ * <code>options.verify</code>), if it was read to the end.
+ */
+// var FileSummary;
+
+/** Summary of concatenation by {@link nodecat}.
+ *
+ * @typedef {{
+ *   files: !Array<FileSummary>,
+ *   bytesRead: number,
+ *   bytesWritten: number,
+ *   duration: number,
+ *   checksum: (string|undefined)
+ * }} NodecatSummary
+ * @property {!Array<FileSummary>} files Summary of each input file, in the
+ * order in which they were read.  Files after a write error are not read and
+ * not included.
+ * @property {number} bytesRead Total number of bytes read from all files
+ * (after <code>transforms</code>).
+ * @property {number} bytesWritten Total number of bytes written to
+ * <code>outStream</code>.
+ * @property {number} duration Total time spent, in milliseconds.
+ * @property {string=} checksum Hex-encoded checksum of the output written to
+ * <code>outStream</code> (with <code>options.checksum</code>).
+ */
+// var NodecatSummary;
+
+/** Per-file transform for {@link nodecat}.
+ *
+ * Either a function which is called with the name of each file and returns a
+ * <code>stream.Duplex</code> (usually a <code>stream.Transform</code>) through
+ * which the content of the file is piped, or an async generator function
+ * which is called with an <code>AsyncIterable</code> of chunks from the file
+ * and the name of the file, and yields transformed chunks.
+ *
+ * @typedef {function(string): !module:stream.Duplex|
+ *   function(!object, string): !object} FileTransform
+ */
+// var FileTransform;
+
+/** Output transform for {@link nodecat}.
+ *
+ * Either a <code>stream.Duplex</code> (usually a
+ * <code>stream.Transform</code>) through which the concatenated output is
+ * piped, or an async generator function which is called with an
+ * <code>AsyncIterable</code> of chunks of concatenated output and yields
+ * transformed chunks.
+ *
+ * @typedef {!module:stream.Duplex|
+ *   function(!object): !object} OutputTransform
+ */
+// var OutputTransform;
+
+/** Determines whether a value is an async generator function.
+ *
+ * @private
+ * @param {*} value Value to check.
+ * @returns {boolean} <code>true</code> if <code>value</code> is an async
+ * generator function, <code>false</code> otherwise.
+ */
+function isAsyncGeneratorFunction(value) {
+  return Object.prototype.toString.call(value)
+    === '[object AsyncGeneratorFunction]';
+}
+
+/** Creates a stream to transform the content of a named file.
+ *
+ * @private
+ * @param {FileTransform} transform Transform to apply.
+ * @param {string} fileName Name of the file to transform.
+ * @returns {!module:stream.Duplex} Stream which transforms the content of
+ * <code>fileName</code>.
+ * @throws {TypeError} If <code>transform</code> does not return a
+ * <code>stream.Duplex</code>.
+ */
+function createFileTransform(transform, fileName) {
+  if (isAsyncGeneratorFunction(transform)) {
+    return stream.Duplex.from((source) => transform(source, fileName));
+  }
+
+  const transformStream = transform(fileName);
+  if (!transformStream
+      || typeof transformStream.pipe !== 'function'
+      || typeof transformStream.write !== 'function') {
+    throw new TypeError('options.transforms must return a stream.Duplex');
+  }
+
+  return transformStream;
+}
+
+/** Gets the values of placeholders in header and footer templates for a
+ * file.
+ *
+ * @private
+ * @param {string} fileName Name of the file.
+ * @param {number} fileIndex Index of the file in (expanded) fileNames.
+ * @param {module:fs.Stats=} stats Stats of the file, if it is a named file.
+ * @returns {!object} Values of placeholders in templates.
+ */
+function getTemplateValues(fileName, fileIndex, stats) {
+  return {
+    index: fileIndex + 1,
+    mtime: stats ? stats.mtime.toISOString() : '',
+    name: fileName,
+    size: stats ? stats.size : '',
+  };
+}
+
+/** Gets the path of a file to read, and the range of bytes to read from it,
+ * for a file name which may have a range suffix.
+ *
+ * @private
+ * @param {string} fileName Name of a file, with optional range suffix (with
+ * <code>options.ranges</code>).
+ * @param {NodecatOptions=} options Options.
+ * @returns {{
+ *   filePath: string,
+ *   byteRange: (module:nodecat/lib/range.js~Range|undefined)
+ * }} Path of the file and the range of bytes to read, if not the whole file.
+ */
+function getFileRange(fileName, options) {
+  if (!options) {
+    return { filePath: fileName, byteRange: undefined };
+  }
+
+  const { maxBytes, skipBytes = 0 } = options;
+  const { fileName: filePath, range } = options.ranges
+    ? splitRange(fileName)
+    : { fileName, range: undefined };
+  const start = (range ? range.start : 0) + skipBytes;
+  let end = range ? range.end : undefined;
+  if (maxBytes !== undefined) {
+    end = Math.min(end === undefined ? Infinity : end, start + maxBytes);
+  }
+  if (start === 0 && end === undefined) {
+    return { filePath, byteRange: undefined };
+  }
+
+  // Note:  end may be less than start when skipBytes is past end of range
+  return { filePath, byteRange: { start, end } };
+}
+
+/** Gets the URL for a file name, if it is read as a URL.
+ *
+ * @private
+ * @param {string} fileName Name of a file.
+ * @param {NodecatOptions=} options Options.
+ * @returns {URL|undefined} URL to read for <code>fileName</code>, if any.
+ */
+function getFileUrl(fileName, options) {
+  return options && options.urls ? parseUrl(fileName) : undefined;
+}
+
+/** Creates a stream to read a named file (or URL).
+ *
+ * @private
+ * @param {string} fileName Name of the file.
+ * @param {NodecatOptions=} options Options.
+ * @param {module:nodecat/lib/range.js~Range=} byteRange Range of bytes to
+ * read from a named file.  Not applied to URLs.
+ * @param {?function(!Error, number)=} onRetry Function called before each
+ * retry of a named file with <code>onError</code> <code>retry</code>.
+ * @returns {!module:stream.Readable} Stream of the file content.
+ */
+function createFileStream(fileName, options, byteRange, onRetry) {
+  const url = getFileUrl(fileName, options);
+  if (url) {
+    return createUrlStream(url, options);
+  }
+
+  if (!options || options.onError !== 'retry') {
+    return byteRange ? createRangeStream(fileName, byteRange)
+      : fs.createReadStream(fileName);
+  }
+
+  const {
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+  } = options;
+  const { start = 0, end } = byteRange || {};
+  return createRetryStream(
+    (offset) => (start + offset === 0 && end === undefined
+      ? fs.createReadStream(fileName)
+      : createRangeStream(fileName, { start: start + offset, end })),
+    { retries, retryDelay },
+    onRetry,
+  );
+}
+
+/** Creates a stream to read a named file which has been opened.
+ *
+ * @private
+ * @param {string} fileName Name of the file.
+ * @param {number} fd Descriptor of the file, which is closed by the stream.
+ * @param {module:nodecat/lib/range.js~Range=} byteRange Range of bytes to
+ * read.  The file must support reading at a position (i.e. be a regular
+ * file).
+ * @returns {!module:stream.Readable} Stream of the file content.
+ */
+function createFdStream(fileName, fd, byteRange) {
+  if (!byteRange) {
+    return fs.createReadStream(fileName, { fd });
+  }
+
+  const { start = 0, end } = byteRange;
+  if (end !== undefined && end <= start) {
+    fs.close(fd, () => {});
+    return stream.Readable.from([]);
+  }
+
+  return fs.createReadStream(fileName, {
+    fd,
+    start,
+    // end option is inclusive
+    end: end === undefined ? undefined : end - 1,
+  });
+}
+
+/** Creates an Error for an input which is the output file.
+ *
+ * @private
+ * @returns {!Error} Error with <code>code</code> <code>ESAMEFILE</code>.
+ */
+function createSameFileError() {
+  const err = new Error('input file is output file');
+  err.code = 'ESAMEFILE';
+  return err;
+}
+
+/** Creates a function which reports retries of a file with
+ * <code>onError</code> <code>retry</code>.
+ *
+ * @private
+ * @param {module:nodecat/lib/report.js.Reporter} reporter Reporter to which
+ * retries are reported.
+ * @param {string} fileName Name of the file.
+ * @param {NodecatOptions=} options Options.
+ * @returns {function(!Error, number)} Function called with the error and the
+ * number of the retry.
+ */
+function createRetryReporter(reporter, fileName, options) {
+  const retries = (options && options.retries) ?? DEFAULT_RETRIES;
+  return function reportRetry(err, retryCount) {
+    reporter.notice(
+      `${err.message} (retry ${retryCount} of ${retries})`,
+      fileName,
+    );
+  };
+}
+
+/** Creates an Error for an operation stopped by an AbortSignal, as Node.js
+ * APIs do.
+ *
+ * @private
+ * @param {*} reason Reason the signal was aborted.
+ * @returns {!Error} <code>Error</code> with <code>name</code>
+ * <code>AbortError</code> and <code>code</code> <code>ABORT_ERR</code>.
+ */
+function createAbortError(reason) {
+  const err = new Error('The operation was aborted', { cause: reason });
+  err.name = 'AbortError';
+  err.code = 'ABORT_ERR';
+  return err;
+}
+
+/** Combines one or more errors into a single Error.
+ *
+ * @private
+ * @param {!Array<!Error>} errors Errors to combine.
+ * @returns {!Error} The only Error in <code>errors</code>, or an
+ * <code>AggregateError</code> of <code>errors</code>.
+ */
+function combineErrors(errors) {
+  return errors.length === 1 ? errors[0]
+    : new AggregateError(
+      errors,
+      errors.map((err) => err.message).join('\n'),
+    );
+}
+
+/** Expands glob patterns and directories in file names, and checks range
+ * suffixes, as configured by options.
+ *
+ * @private
+ * @param {!Array<string>} fileNames Names of files, which may be glob
+ * patterns or directories, with optional range suffixes.
+ * @param {!NodecatOptions} options Options.
+ * @param {!Object<string,!module:stream.Readable>} callerStreams Streams for
+ * names which are not expanded.
+ * @returns {!Promise<{
+ *   fileNames: !Array<string>,
+ *   expandErrors: !Map<number,!Error>
+ * }>} Promise for the expanded file names, with the errors for names which
+ * could not be expanded by index in the expanded file names.
+ */
+async function expandFileNames(fileNames, options, callerStreams) {
+  // fileNames may be Array-like without being iterable
+  // Range suffix of each name is removed during expansion, then restored
+  let entries = Array.prototype.map.call(fileNames, (fileName) => {
+    if (!options.ranges) {
+      return { fileName, suffix: '', error: undefined };
+    }
+
+    try {
+      const { fileName: filePath } = splitRange(fileName);
+      return {
+        fileName: filePath,
+        suffix: fileName.slice(filePath.length),
+        error: undefined,
+      };
+    } catch (err) {
+      return { fileName, suffix: '', error: err };
+    }
+  });
+
+  if (options.glob) {
+    const expansions = await Promise.all(entries.map(
+      ({ fileName, error }) => (
+        error || callerStreams[fileName] || getFileUrl(fileName, options)
+          ? undefined
+          : expandGlob(fileName).catch((err) => err)),
+    ));
+    entries = entries.flatMap((entry, j) => {
+      const expansion = expansions[j];
+      if (expansion === undefined) {
+        return [entry];
+      }
+
+      const { fileName, suffix } = entry;
+      if (expansion instanceof Error) {
+        return [{ fileName, suffix, error: expansion }];
+      }
+
+      if (expansion.length === 0) {
+        const err = new Error('No match');
+        err.code = 'ENOMATCH';
+        return [{ fileName, suffix, error: err }];
+      }
+
+      return expansion.map((match) => ({
+        fileName: match,
+        suffix,
+        error: undefined,
+      }));
+    });
+  }
+
+  if (options.recursive) {
+    const expansions = await Promise.all(entries.map(
+      async ({ fileName, suffix, error }) => {
+        if (error
+          || callerStreams[fileName]
+          || getFileUrl(fileName, options)) {
+          return undefined;
+        }
+
+        let stats;
+        try {
+          stats = await fs.promises.stat(fileName);
+        } catch {
+          // Error is reported when the file is read
+          return undefined;
+        }
+
+        if (!stats.isDirectory()) {
+          return undefined;
+        }
+
+        const found = await walkDir(fileName, options);
+        return found.map((entry) => ({ ...entry, suffix }));
+      },
+    ));
+    entries = entries.flatMap((entry, j) => expansions[j] || [entry]);
+  }
+
+  const expandErrors = new Map();
+  for (const [j, { error }] of entries.entries()) {
+    if (error) {
+      expandErrors.set(j, error);
+    }
+  }
+
+  return {
+    fileNames: entries.map(({ fileName, suffix }) => fileName + suffix),
+    expandErrors,
+  };
+}
+
+/** Determines whether a glob pattern for names is valid (e.g. does not
+ * contain a bracket expression with an out-of-order range).
+ *
+ * @private
+ * @param {string} pattern Glob pattern for names.
+ * @returns {boolean} <code>true</code> if <code>pattern</code> is valid.
+ */
+function isValidPattern(pattern) {
+  try {
+    createNameMatcher(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Checks that arguments for {@link nodecat} are valid.
+ *
+ * @private
+ * @param {*} fileNames Names of files to be concatenated.
+ * @param {*} options Options.
+ * @throws {TypeError} If any argument is not valid.
+ */
+function checkArgs(fileNames, options) {
+  if (!fileNames
+      || typeof fileNames !== 'object'
+      || fileNames.length !== Math.floor(fileNames.length)) {
+    throw new TypeError('fileNames must be an Array-like object');
+  }
+  if (options && typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+  if (!options) {
+    return;
+  }
+
+  const {
+    checksum,
+    checksumInputs,
+    compress,
+    compressLevel,
+    emitter,
+    errStream,
+    exclude = [],
+    fileStreams,
+    follow,
+    followInterval,
+    inactivityTimeout,
+    include = [],
+    lines,
+    maxBytes,
+    onError = 'continue',
+    outStream,
+    outputFile,
+    outputTransforms = [],
+    readAhead,
+    report = 'text',
+    retries,
+    retryDelay,
+    separator,
+    signal,
+    skipBytes,
+    sort = 'name',
+    timeout,
+    transforms = [],
+    urlTimeout,
+    verify,
+  } = options;
+  if (emitter && typeof emitter.emit !== 'function') {
+    throw new TypeError('options.emitter must be an EventEmitter');
+  }
+  if (fileStreams && typeof fileStreams !== 'object') {
+    throw new TypeError('options.fileStreams must be an object');
+  }
+  if (outStream && typeof outStream.write !== 'function') {
+    throw new TypeError('options.outStream must be a stream.Writable');
+  }
+  if (outputFile !== undefined) {
+    if (typeof outputFile !== 'string' || outputFile.length === 0) {
+      throw new TypeError('options.outputFile must be a non-empty string');
+    }
+    if (outStream) {
+      throw new TypeError('options.outputFile and options.outStream are '
+        + 'mutually exclusive');
+    }
+  }
+  if (errStream && typeof errStream.write !== 'function') {
+    throw new TypeError('options.errStream must be a stream.Writable');
+  }
+  for (const name of ['footer', 'header']) {
+    const template = options[name];
+    if (template !== undefined) {
+      if (typeof template !== 'string') {
+        throw new TypeError(`options.${name} must be a string`);
+      }
+      try {
+        compileTemplate(template, TEMPLATE_FIELDS);
+      } catch (err) {
+        throw new TypeError(`options.${name} has ${err.message}`);
+      }
+    }
+  }
+  if (separator !== undefined && typeof separator !== 'string') {
+    throw new TypeError('options.separator must be a string');
+  }
+  if (readAhead !== undefined
+      && (!Number.isInteger(readAhead) || readAhead < 0)) {
+    throw new TypeError('options.readAhead must be a non-negative integer');
+  }
+  if (follow !== undefined && follow !== 'descriptor' && follow !== 'name') {
+    throw new TypeError('options.follow must be \'descriptor\' or \'name\'');
+  }
+  if (followInterval !== undefined
+      && (!Number.isInteger(followInterval) || followInterval <= 0)) {
+    throw new TypeError('options.followInterval must be a positive integer');
+  }
+  if (inactivityTimeout !== undefined
+      && (!Number.isInteger(inactivityTimeout) || inactivityTimeout <= 0)) {
+    throw new TypeError(
+      'options.inactivityTimeout must be a positive integer',
+    );
+  }
+  if (timeout !== undefined
+      && (!Number.isInteger(timeout) || timeout <= 0)) {
+    throw new TypeError('options.timeout must be a positive integer');
+  }
+  if (signal !== undefined
+      && (!signal || typeof signal.addEventListener !== 'function')) {
+    throw new TypeError('options.signal must be an AbortSignal');
+  }
+  if (skipBytes !== undefined
+      && (!Number.isInteger(skipBytes) || skipBytes < 0)) {
+    throw new TypeError('options.skipBytes must be a non-negative integer');
+  }
+  if (maxBytes !== undefined
+      && (!Number.isInteger(maxBytes) || maxBytes < 0)) {
+    throw new TypeError('options.maxBytes must be a non-negative integer');
+  }
+  if (lines !== undefined) {
+    const { start = 0, end } = lines || {};
+    if (!lines
+        || typeof lines !== 'object'
+        || !Number.isInteger(start)
+        || start < 0
+        || (end !== undefined && (!Number.isInteger(end) || end < start))) {
+      throw new TypeError(
+        'options.lines must be an object with integer start <= end',
+      );
+    }
+  }
+  if (checksum !== undefined && !getHashes().includes(checksum)) {
+    throw new TypeError(
+      'options.checksum must be a hash algorithm supported by node:crypto',
+    );
+  }
+  if (checksum === undefined) {
+    if (checksumInputs) {
+      throw new TypeError('options.checksumInputs requires options.checksum');
+    }
+    if (verify !== undefined) {
+      throw new TypeError('options.verify requires options.checksum');
+    }
+  }
+  if (verify !== undefined && !(verify instanceof Map)) {
+    throw new TypeError('options.verify must be a Map');
+  }
+  if (compress !== undefined && !MAX_COMPRESS_LEVELS.has(compress)) {
+    throw new TypeError(
+      'options.compress must be \'gzip\', \'deflate\', or \'brotli\'',
+    );
+  }
+  if (compressLevel !== undefined) {
+    if (compress === undefined) {
+      throw new TypeError('options.compressLevel requires options.compress');
+    }
+    if (!Number.isInteger(compressLevel)
+        || compressLevel < 0
+        || compressLevel > MAX_COMPRESS_LEVELS.get(compress)) {
+      throw new TypeError(
+        `options.compressLevel must be an integer from 0 to ${
+          MAX_COMPRESS_LEVELS.get(compress)} for ${compress}`,
+      );
+    }
+  }
+  if (!Array.isArray(exclude)
+      || !exclude.every((pattern) => typeof pattern === 'string')) {
+    throw new TypeError('options.exclude must be an Array of strings');
+  }
+  if (!Array.isArray(include)
+      || !include.every((pattern) => typeof pattern === 'string')) {
+    throw new TypeError('options.include must be an Array of strings');
+  }
+  const invalidExclude = exclude.find((pattern) => !isValidPattern(pattern));
+  if (invalidExclude !== undefined) {
+    throw new TypeError(
+      `options.exclude contains invalid pattern '${invalidExclude}'`,
+    );
+  }
+  const invalidInclude = include.find((pattern) => !isValidPattern(pattern));
+  if (invalidInclude !== undefined) {
+    throw new TypeError(
+      `options.include contains invalid pattern '${invalidInclude}'`,
+    );
+  }
+  if (onError !== 'continue'
+      && onError !== 'fail-fast'
+      && onError !== 'retry') {
+    throw new TypeError(
+      'options.onError must be \'continue\', \'fail-fast\', or \'retry\'',
+    );
+  }
+  if (report !== 'text' && report !== 'json') {
+    throw new TypeError('options.report must be \'text\' or \'json\'');
+  }
+  for (const [name, value] of [
+    ['retries', retries],
+    ['retryDelay', retryDelay],
+  ]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      throw new TypeError(`options.${name} must be a non-negative integer`);
+    }
+  }
+  if (sort !== 'name' && sort !== 'natural' && sort !== 'mtime') {
+    throw new TypeError(
+      'options.sort must be \'name\', \'natural\', or \'mtime\'',
+    );
+  }
+  if (urlTimeout !== undefined
+      && (!Number.isInteger(urlTimeout) || urlTimeout < 0)) {
+    throw new TypeError('options.urlTimeout must be a non-negative integer');
+  }
+  if (!Array.isArray(transforms)
+      || !transforms.every((t) => typeof t === 'function')) {
+    throw new TypeError('options.transforms must be an Array of functions');
+  }
+  if (!Array.isArray(outputTransforms)
+      || !outputTransforms.every((t) => isAsyncGeneratorFunction(t)
+        || (t
+          && typeof t.pipe === 'function'
+          && typeof t.write === 'function'))) {
+    throw new TypeError(
+      'options.outputTransforms must be an Array of stream.Duplex or '
+      + 'async generator functions',
+    );
+  }
+}
+
+/** Concatenates named files, with arguments already checked.
+ *
+ * @private
+ * @param {!Array<string>} fileNames Names of files to be concatenated.
+ * @param {NodecatOptions=} options Options.
+ * @param {function(Error, NodecatSummary)} callback Callback with the
+ * <code>Error</code> which occurred, if any, and a summary.
+ * @param {?function(!Error)=} errorListener Function called with each
+ * <code>Error</code> when it occurs.
+ * @returns {function()} Function which stops concatenation and calls
+ * <code>callback</code>, if it has not already been called.
+ */
+function catFiles(fileNames, options, callback, errorListener) {
+  const callerStreamEnded = {};
+  const callerStreams = (options && options.fileStreams) || {};
+  const emitter = options && options.emitter;
+  const reporter = createReporter(
+    (options && options.errStream) || process.stderr,
+    options && options.report,
+  );
+  const outStream = (options && options.outStream) || process.stdout;
+  const outputTransforms = (options && options.outputTransforms) || [];
+  const readAhead = (options && options.readAhead) || 0;
+  const inactivityTimeout = options && options.inactivityTimeout;
+  const fileTimeout = options && options.timeout;
+  const onErrorPolicy = (options && options.onError) || 'continue';
+  const transforms = [
+    ...options && options.decompress ? [decompress] : [],
+    ...options && options.lines ? [sliceLines(options.lines)] : [],
+    ...(options && options.transforms) || [],
+  ];
+  const formatHeader = options && options.header
+    ? compileTemplate(options.header, TEMPLATE_FIELDS)
+    : undefined;
+  const formatFooter = options && options.footer
+    ? compileTemplate(options.footer, TEMPLATE_FIELDS)
+    : undefined;
+  const separator = (options && options.separator) || '';
+  const checksum = options && options.checksum;
+  const verify = options && options.verify;
+  const hashInputs =
+    Boolean(checksum && (options.checksumInputs || verify));
+
+  // Hash of the output written to outStream (with options.checksum)
+  const outHash = checksum ? createHash(checksum) : undefined;
+
+  // Errors encountered during this nodecat invocation
+  const errors = [];
+
+  const signal = options && options.signal;
+
+  // Error with which the callback is called, if aborted by signal
+  let abortError;
+
+  // Summaries of files which have been read
+  const fileSummaries = [];
+
+  const startTime = performance.now();
+
+  // Streams through which concatenated input is written to outStream
+  const outStages = [];
+  if (options
+    && (options.number
+      || options.numberNonblank
+      || options.showEnds
+      || options.showNonprinting
+      || options.showTabs
+      || options.squeezeBlank)) {
+    outStages.push(createFormatStream(options));
+  }
+  for (const outputTransform of outputTransforms) {
+    outStages.push(
+      isAsyncGeneratorFunction(outputTransform)
+        ? stream.Duplex.from(outputTransform)
+        : outputTransform,
+    );
+  }
+  if (options && options.compress) {
+    outStages.push(
+      createCompressStream(options.compress, options.compressLevel),
+    );
+  }
+
+  // Stream to which input streams are piped
+  const catStream = outStages.length > 0 ? outStages[0] : outStream;
+  const lastOutStage = outStages.at(-1);
+
+  // Has the callback been called?
+  let isDone = false;
+
+  // Number of bytes read from all files
+  let bytesRead = 0;
+
+  // Number of bytes written to outStream
+  let bytesWritten = 0;
+
+  function onOutData(chunk) {
+    if (outHash) {
+      outHash.update(chunk);
+    }
+    // Output stages may produce strings (e.g. from async generators)
+    bytesWritten += Buffer.byteLength(chunk);
+    if (emitter) {
+      emitter.emit('progress', bytesWritten);
+    }
+  }
+
+  // Has a file (or its header or footer) been written?
+  let hasWrittenFile = false;
+
+  // Writes text (e.g. a header) between file content
+  function writeText(text) {
+    if (text) {
+      catStream.write(text);
+      if (!lastOutStage) {
+        onOutData(Buffer.from(text));
+      }
+    }
+  }
+
+  // File descriptor of outStream, if it is a regular file to which named
+  // regular files can be copied directly, without streams.
+  let outFd;
+
+  // Stats of outStream, if it is a regular file, to detect inputs which are
+  // the output file
+  let outStats;
+
+  // Buffer used to copy files to outFd, allocated on first use
+  let copyBuffer;
+
+  // Functions to call once a stopped copy to outFd has no pending read or
+  // write, while it has one
+  let copyStopCallbacks;
+
+  // Calls a function once no stopped copy has a pending write to outFd, so
+  // output written after it is not written concurrently with it
+  function afterCopyStops(fn) {
+    if (copyStopCallbacks) {
+      copyStopCallbacks.push(fn);
+    } else {
+      fn();
+    }
+  }
+
+  // Determines outStats and outFd, then calls next
+  function findOutFd(next) {
+    if (outStream instanceof fs.WriteStream && outStream.pending) {
+      // If open fails, the error is handled by onOutError
+      outStream.once('ready', () => findOutFd(next));
+      return;
+    }
+
+    const { fd } = outStream;
+    if (!Number.isInteger(fd)) {
+      next();
+      return;
+    }
+
+    fs.fstat(fd, (err, stats) => {
+      if (!err && stats.isFile()) {
+        outStats = stats;
+        if (outStages.length === 0
+          && transforms.length === 0
+          // fs.WriteStream with start option writes at its own position
+          && outStream.pos === undefined) {
+          outFd = fd;
+        }
+      }
+      next();
+    });
+  }
+
+  // Checks whether reading input with given stats from offset start would
+  // read the output file, which would grow as it is read (when appending) or
+  // overwrite unread input.  As for GNU cat, empty input (or input with no
+  // content after start) is allowed.
+  function isOutFile(stats, start) {
+    return outStats !== undefined
+      && stats.isFile()
+      && stats.dev === outStats.dev
+      && stats.ino === outStats.ino
+      && start < stats.size;
+  }
+
+  // Cleanup function for the currently piping input stream
+  let inCleanup;
+
+  // Function to stop and discard the currently piping input stream
+  let inAbort;
+
+  // Timers for options.inactivityTimeout and options.timeout of the current
+  // input
+  let inactivityTimer;
+  let fileTimer;
+
+  function clearInTimers() {
+    clearTimeout(inactivityTimer);
+    clearTimeout(fileTimer);
+    inactivityTimer = undefined;
+    fileTimer = undefined;
+  }
+
+  // Function to stop following files, while following (with options.follow)
+  let stopFollow;
+
+  // Named files to follow once all files are read (with options.follow), by
+  // path, in order of their last occurrence
+  const followEntries = new Map();
+
+  function allDone() {
+    if (isDone) {
+      return;
+    }
+
+    isDone = true;
+    // eslint-disable-next-line no-use-before-define
+    outStream.removeListener('error', onOutError);
+    if (signal) {
+      // eslint-disable-next-line no-use-before-define
+      signal.removeEventListener('abort', onAbort);
+    }
+
+    // Call back once output is not being written, so the caller can use it
+    afterCopyStops(() => {
+      // Use null for compatibility with previous versions
+      // eslint-disable-next-line unicorn/no-null
+      const err = abortError || (errors.length === 0 ? null
+        : combineErrors(errors));
+      const summary = {
+        files: fileSummaries,
+        bytesRead,
+        bytesWritten,
+        duration: performance.now() - startTime,
+      };
+      if (outHash) {
+        summary.checksum = outHash.digest('hex');
+      }
+      if (emitter) {
+        emitter.emit('finish', err, summary);
+      }
+      callback(err, summary);
+    });
+  }
+
+  // Ends output once all input has been written to catStream
+  function endOutput() {
+    if (!lastOutStage) {
+      allDone();
+      return;
+    }
+
+    // Wait for output stages to finish writing to outStream
+    lastOutStage.once('end', allDone);
+    catStream.end();
+  }
+
+  // Reports names in options.verify which are not in fileNames as errors,
+  // since their checksums could not be verified
+  function checkVerifyNames() {
+    // fileNames may be Array-like without being iterable
+    const readNames = new Set(Array.prototype.slice.call(fileNames));
+    for (const fileName of verify.keys()) {
+      if (!readNames.has(fileName)) {
+        const err = new Error(`${checksum} checksum listed for unread file`);
+        err.code = 'ECHECKSUM';
+        // Not added to fileSummaries, since the file was not read
+        // eslint-disable-next-line no-use-before-define
+        onFileError(err, { fileName });
+      }
+    }
+  }
+
+  // Called once all input has been piped to catStream
+  function inputsDone() {
+    if (verify) {
+      checkVerifyNames();
+    }
+    if (followEntries.size > 0) {
+      // eslint-disable-next-line no-use-before-define
+      startFollow();
+    } else {
+      endOutput();
+    }
+  }
+
+  // Errors for names which could not be expanded, by index in (expanded)
+  // fileNames
+  let expandErrors = new Map();
+
+  // Expands glob patterns and directories and checks range suffixes in
+  // fileNames (if options.glob, options.recursive, or options.ranges), then
+  // calls onExpanded (with an Error if expansion failed)
+  function expandNames(onExpanded) {
+    if (!options
+      || (!options.glob && !options.recursive && !options.ranges)) {
+      onExpanded();
+      return;
+    }
+
+    // eslint-disable-next-line promise/catch-or-return
+    expandFileNames(fileNames, options, callerStreams).then(
+      (expanded) => {
+        ({ fileNames, expandErrors } = expanded);
+        // Call outside of Promise callback, so exceptions are not rejections
+        queueMicrotask(onExpanded);
+      },
+      (err) => queueMicrotask(() => onExpanded(err)),
+    );
+  }
+
+  // Named files opened before their turn, with any error which occurred,
+  // by index in fileNames
+  const readAheadFiles = new Map();
+
+  // Opens and starts reading named files after the current file
+  function startReadAhead(nextIndex) {
+    const endIndex = Math.min(nextIndex + readAhead, fileNames.length);
+    for (let j = nextIndex; j < endIndex; j += 1) {
+      if (!expandErrors.has(j) && !readAheadFiles.has(j)) {
+        const { filePath, byteRange } = getFileRange(fileNames[j], options);
+        if (callerStreams[filePath]) {
+          continue;
+        }
+
+        const readAheadFile = {
+          inStream: createFileStream(
+            filePath,
+            options,
+            byteRange,
+            createRetryReporter(reporter, fileNames[j], options),
+          ),
+          error: undefined,
+        };
+        // Save error to report when it is the file's turn
+        readAheadFile.inStream.once('error', (err) => {
+          readAheadFile.error = err;
+        });
+        // Fill the stream buffer (up to highWaterMark) before it is piped
+        readAheadFile.inStream.read(0);
+        readAheadFiles.set(j, readAheadFile);
+      }
+    }
+  }
+
+  // Stops reading files opened before their turn
+  function stopReadAhead() {
+    for (const { inStream } of readAheadFiles.values()) {
+      inStream.destroy();
+    }
+    readAheadFiles.clear();
+  }
+
+  // Stops piping input and discards any buffered output
+  function stopPiping() {
+    clearInTimers();
+    if (inCleanup) {
+      inCleanup();
+      inAbort();
+    }
+    if (stopFollow) {
+      stopFollow(() => {});
+      stopFollow = undefined;
+    }
+    stopReadAhead();
+    if (lastOutStage) {
+      lastOutStage.removeListener('end', allDone);
+      // Destroying does not unpipe, which would leave listeners on outStream
+      lastOutStage.unpipe(outStream);
+      for (const outStage of outStages) {
+        outStage.destroy();
+      }
+    }
+  }
+
+  // Note:  src.unpipe is called by stream.Readable internals on dest 'error'
+  function onOutError(err) {
+    errors.push(err);
+    reporter.error(err, undefined, true);
+    stopPiping();
+    allDone();
+    if (errorListener) {
+      errorListener(err);
+    }
+  }
+  outStream.once('error', onOutError);
+
+  function onOutStageError(err) {
+    if (!isDone) {
+      onOutError(err);
+    }
+  }
+
+  if (lastOutStage) {
+    lastOutStage.on('data', onOutData);
+  }
+
+  for (const [j, outStage] of outStages.entries()) {
+    outStage.on('error', onOutStageError);
+    if (outStage === lastOutStage) {
+      outStage.pipe(outStream, { end: false });
+    } else {
+      outStage.pipe(outStages[j + 1]);
+    }
+  }
+
+  function onFileError(err, fileSummary) {
+    const { fileName } = fileSummary;
+    // Mark error with the name of the file which caused it
+    err.fileName = fileName;
+    fileSummary.error = err;
+    errors.push(err);
+    reporter.error(err, fileName);
+    if (emitter) {
+      emitter.emit('fileError', err);
+    }
+    if (errorListener) {
+      errorListener(err);
+    }
+  }
+
+  function onAbort() {
+    if (isDone) {
+      return;
+    }
+
+    if (stopFollow) {
+      // Following only ends when aborted, so output is finished normally
+      const stop = stopFollow;
+      stopFollow = undefined;
+      stop(() => {
+        if (!isDone) {
+          endOutput();
+        }
+      });
+      return;
+    }
+
+    abortError = createAbortError(signal.reason);
+    stopPiping();
+    allDone();
+    if (errorListener) {
+      errorListener(abortError);
+    }
+  }
+
+  // Follows files in followEntries, then ends output once stopped
+  function startFollow() {
+    const { follow, followInterval = 1000 } = options;
+    const entries = [...followEntries.values()]
+      // A file which could not be read is only followed by name
+      .filter((entry) => follow === 'name' || !entry.fileSummary.error);
+    if (entries.length === 0) {
+      endOutput();
+      return;
+    }
+
+    // Index of the file from which data was most recently written
+    let lastIndex = entries.length - 1;
+
+    function onData(chunk, index) {
+      const { fileIndex, fileName, fileSummary } = entries[index];
+      if (formatHeader && index !== lastIndex) {
+        writeText(separator);
+        writeText(formatHeader(getTemplateValues(fileName, fileIndex)));
+      }
+      lastIndex = index;
+
+      fileSummary.bytes += chunk.length;
+      bytesRead += chunk.length;
+      if (!lastOutStage) {
+        onOutData(chunk);
+      }
+      return new Promise((resolve) => {
+        if (catStream.write(chunk)) {
+          resolve();
+        } else {
+          catStream.once('drain', resolve);
+        }
+      });
+    }
+
+    function onNotice(message, index) {
+      reporter.notice(message, entries[index].fileName);
+    }
+
+    function onError(err, index) {
+      onFileError(err, entries[index].fileSummary);
+    }
+
+    stopFollow = followFiles(
+      entries.map(({ filePath, position, stats }) => ({
+        fileName: filePath,
+        position,
+        stats,
+      })),
+      { interval: followInterval, mode: follow },
+      onData,
+      onNotice,
+      onError,
+    );
+  }
+
+  let i = 0;
+  function catNext() {
+    if (isDone) {
+      return;
+    }
+
+    if (onErrorPolicy === 'fail-fast' && errors.length > 0) {
+      // Finish output without reading (or following) remaining files
+      stopReadAhead();
+      endOutput();
+      return;
+    }
+
+    if (i >= fileNames.length) {
+      inputsDone();
+      return;
+    }
+
+    const fileIndex = i;
+    const fileName = fileNames[i];
+    i += 1;
+    const expandError = expandErrors.get(fileIndex);
+    if (expandError) {
+      const expandSummary = {
+        fileName,
+        source: 'file',
+        bytes: 0,
+        duration: 0,
+        skipped: false,
+        error: undefined,
+      };
+      fileSummaries.push(expandSummary);
+      onFileError(expandError, expandSummary);
+      catNext();
+      return;
+    }
+
+    const { filePath, byteRange } = getFileRange(fileName, options);
+    const callerStream = callerStreams[filePath];
+    if (callerStream && callerStreamEnded[filePath]) {
+      fileSummaries.push({
+        fileName,
+        source: 'stream',
+        bytes: 0,
+        duration: 0,
+        skipped: true,
+        error: undefined,
+      });
+      catNext();
+      return;
+    }
+
+    const fileUrl = callerStream ? undefined : getFileUrl(filePath, options);
+    const fileSummary = {
+      fileName,
+      source: callerStream ? 'stream' : fileUrl ? 'url' : 'file',
+      bytes: 0,
+      duration: 0,
+      skipped: false,
+      error: undefined,
+    };
+    fileSummaries.push(fileSummary);
+    const fileStartTime = performance.now();
+
+    // Hash of the content read from the file (with options.checksumInputs
+    // or options.verify)
+    const inHash = hashInputs ? createHash(checksum) : undefined;
+
+    // File to follow once all files are read, if any
+    let followEntry;
+    if (options
+      && options.follow
+      && !callerStream
+      && !fileUrl
+      && (options.followAll || fileIndex === fileNames.length - 1)) {
+      followEntry = {
+        fileIndex,
+        fileName,
+        filePath,
+        fileSummary,
+        // Offset after the last byte read
+        position: byteRange ? byteRange.start : 0,
+        // Stats of the file which was opened to read, if known
+        stats: undefined,
+      };
+      // Delete to move to the end, in order of last occurrence
+      followEntries.delete(filePath);
+      followEntries.set(filePath, followEntry);
+    }
+
+    if (emitter) {
+      emitter.emit('fileStart', fileName);
+    }
+
+    const readAheadFile = readAheadFiles.get(fileIndex);
+    readAheadFiles.delete(fileIndex);
+    if (readAhead > 0) {
+      startReadAhead(i);
+    }
+
+    // Stats of the named file, if needed for header or footer
+    let fileStats;
+
+    // Has the file been started (and its header written)?
+    let isStarted = false;
+
+    // Has the separator before the file been written (if needed)?
+    let isSeparated = false;
+
+    // Writes the separator before the file, if any, once it is known to have
+    // output (i.e. it has been opened, or has data, or has ended)
+    function writeSeparator() {
+      if (!isSeparated) {
+        isSeparated = true;
+        if (hasWrittenFile) {
+          writeText(separator);
+        }
+        hasWrittenFile = true;
+      }
+    }
+
+    // Writes footer (if any), then continues with the next file
+    function endFile() {
+      clearInTimers();
+      if (formatFooter && isStarted && !isDone) {
+        writeText(formatFooter(getTemplateValues(
+          fileName,
+          fileIndex,
+          fileStats,
+        )));
+      }
+      catNext();
+    }
+
+    function onFileData(chunk) {
+      writeSeparator();
+      // Transforms may produce strings (e.g. from async generators)
+      const byteCount = Buffer.byteLength(chunk);
+      fileSummary.bytes += byteCount;
+      bytesRead += byteCount;
+      if (!lastOutStage) {
+        onOutData(chunk);
+      }
+    }
+
+    function onInData(chunk) {
+      followEntry.position += chunk.length;
+    }
+
+    function onInHashData(chunk) {
+      inHash.update(chunk);
+    }
+
+    // Sets the checksum of the file content, then verifies it (with
+    // options.verify)
+    function endChecksum() {
+      if (!inHash) {
+        return;
+      }
+
+      fileSummary.checksum = inHash.digest('hex');
+      const expected = verify && verify.get(fileName);
+      if (expected !== undefined
+        && expected.toLowerCase() !== fileSummary.checksum) {
+        const err = new Error(`${checksum} checksum does not match`);
+        err.code = 'ECHECKSUM';
+        onFileError(err, fileSummary);
+      }
+    }
+
+    // Fails the file, as for a read error, when a timeout is exceeded
+    function onInTimeout(message) {
+      const err = new Error(message);
+      err.code = 'ETIMEDOUT';
+      if (callerStream) {
+        // Not read again, since it may emit data after the next file starts
+        callerStreamEnded[filePath] = true;
+      }
+      inCleanup();
+      inAbort();
+      onFileError(err, fileSummary);
+      afterCopyStops(endFile);
+    }
+
+    function onInactive() {
+      if (catStream.writableNeedDrain) {
+        // Waiting for output, not input
+        // eslint-disable-next-line no-use-before-define
+        resetInactivityTimer();
+      } else {
+        onInTimeout(`No data after ${inactivityTimeout} ms`);
+      }
+    }
+
+    function resetInactivityTimer() {
+      if (inactivityTimeout !== undefined) {
+        clearTimeout(inactivityTimer);
+        inactivityTimer = setTimeout(onInactive, inactivityTimeout);
+      }
+    }
+
+    function startInTimers() {
+      resetInactivityTimer();
+      if (fileTimeout !== undefined) {
+        fileTimer = setTimeout(
+          () => onInTimeout(`Not read within ${fileTimeout} ms`),
+          fileTimeout,
+        );
+      }
+    }
+
+    function onFileWrite(byteCount, data) {
+      if (followEntry) {
+        followEntry.position += byteCount;
+      }
+      if (inHash) {
+        inHash.update(data);
+      }
+      fileSummary.bytes += byteCount;
+      bytesRead += byteCount;
+      onOutData(data);
+    }
+
+    // Reads file content from a stream and pipes it to catStream
+    function pipeFile(inFd, inStats) {
+      // Streams, URLs, and pipes, devices, etc. (which may not support
+      // reading at a position) are read from the start, then sliced
+      const isSliced = Boolean(byteRange)
+        && (callerStream || fileUrl || (inFd !== undefined
+          && !(inStats && inStats.isFile())));
+
+      const fileTransforms = [];
+      try {
+        if (isSliced) {
+          fileTransforms.push(stream.Duplex.from(sliceBytes(byteRange)));
+        }
+        for (const transform of transforms) {
+          fileTransforms.push(createFileTransform(transform, filePath));
+        }
+      } catch (err) {
+        for (const fileTransform of fileTransforms) {
+          fileTransform.destroy();
+        }
+        if (readAheadFile) {
+          readAheadFile.inStream.destroy();
+        }
+        if (inFd !== undefined) {
+          fs.close(inFd, () => {});
+        }
+        onFileError(err, fileSummary);
+        endFile();
+        return;
+      }
+
+      const inStream = callerStream
+        || (readAheadFile && readAheadFile.inStream)
+        || (inFd !== undefined
+          ? createFdStream(filePath, inFd, isSliced ? undefined : byteRange)
+          : createFileStream(
+            filePath,
+            options,
+            byteRange,
+            createRetryReporter(reporter, fileName, options),
+          ));
+
+      // Stream from which (possibly transformed) file content is read
+      const fileStream = fileTransforms.reduce(
+        (src, dest) => src.pipe(dest),
+        inStream,
+      );
+
+      // Stream from which file content is read, before transforms
+      const contentStream = isSliced ? fileTransforms[0] : inStream;
+
+      fileStream.on('data', onFileData);
+      if (followEntry) {
+        inStream.on('data', onInData);
+      }
+      if (inHash) {
+        contentStream.on('data', onInHashData);
+      }
+      if (inactivityTimeout !== undefined) {
+        inStream.on('data', resetInactivityTimer);
+      }
+
+      let isFileDone = false;
+      function done() {
+        isFileDone = true;
+        if (callerStream) {
+          callerStreamEnded[filePath] = true;
+        }
+        inCleanup();
+        endFile();
+      }
+
+      function onFileEnd() {
+        // Empty files are separated, as files which could not be read are not
+        writeSeparator();
+        if (fileTransforms.length > 0 && !inStream.readableEnded) {
+          // Transform stopped reading (e.g. after selected lines)
+          inAbort();
+        }
+        if (emitter) {
+          emitter.emit('fileEnd', fileName, fileSummary.bytes);
+        }
+        endChecksum();
+        done();
+      }
+      fileStream.once('end', onFileEnd);
+
+      function onInError(err) {
+        // There is no way to know whether more data may be emitted.
+        // To be safe, unpipe to prevent interleaving data after starting next.
+        inAbort();
+        onFileError(err, fileSummary);
+        done();
+      }
+      inStream.once('error', onInError);
+
+      function onTransformError(err) {
+        if (!isFileDone) {
+          onInError(err);
+        }
+      }
+      for (const fileTransform of fileTransforms) {
+        fileTransform.on('error', onTransformError);
+      }
+
+      inCleanup = function cleanup() {
+        fileSummary.duration = performance.now() - fileStartTime;
+        inStream.removeListener('error', onInError);
+        inStream.removeListener('data', onInData);
+        inStream.removeListener('data', resetInactivityTimer);
+        contentStream.removeListener('data', onInHashData);
+        fileStream.removeListener('data', onFileData);
+        fileStream.removeListener('end', onFileEnd);
+      };
+
+      inAbort = function abort() {
+        if (typeof fileStream.unpipe === 'function') {
+          fileStream.unpipe(catStream);
+        }
+        if (fileTransforms.length > 0) {
+          if (typeof inStream.unpipe === 'function') {
+            inStream.unpipe(fileTransforms[0]);
+          }
+          for (const fileTransform of fileTransforms) {
+            fileTransform.destroy();
+          }
+        }
+        if (!callerStream) {
+          inStream.destroy();
+        }
+      };
+
+      if (readAheadFile && readAheadFile.error) {
+        onInError(readAheadFile.error);
+        return;
+      }
+
+      fileStream.pipe(catStream, { end: false });
+    }
+
+    // Copies an opened regular file to outFd without streams, if possible
+    function copyFile(inFd, inStats) {
+      let isAborted = false;
+      let isCopying = false;
+      let stopCopy;
+
+      function onCopyDone(err) {
+        inCleanup();
+        if (err) {
+          onFileError(err, fileSummary);
+        } else {
+          if (emitter) {
+            emitter.emit('fileEnd', fileName, fileSummary.bytes);
+          }
+          endChecksum();
+        }
+        endFile();
+      }
+
+      function copyFrom() {
+        function onCopyEnd(err, isWriteError) {
+          isCopying = false;
+          if (isAborted) {
+            const callbacks = copyStopCallbacks;
+            copyStopCallbacks = undefined;
+            for (const stopCallback of callbacks) {
+              stopCallback();
+            }
+          }
+
+          fs.close(inFd, (errClose) => {
+            if (isAborted) {
+              return;
+            }
+
+            if (err && isWriteError) {
+              // Report as a write error, as for a stream
+              outStream.destroy(err);
+            } else {
+              onCopyDone(err || errClose);
+            }
+          });
+        }
+
+        // Number of bytes read which have not yet been written
+        let unwrittenBytes = 0;
+
+        function onCopyRead(byteCount) {
+          unwrittenBytes = byteCount;
+          // Waiting for output, not input, until written
+          clearTimeout(inactivityTimer);
+        }
+
+        function onCopyWrite(byteCount, data) {
+          unwrittenBytes -= byteCount;
+          if (unwrittenBytes === 0) {
+            resetInactivityTimer();
+          }
+          onFileWrite(byteCount, data);
+        }
+
+        copyBuffer ||= Buffer.allocUnsafe(COPY_BUFFER_SIZE);
+        isCopying = true;
+        stopCopy = copyFd(
+          inFd,
+          outFd,
+          copyBuffer,
+          onCopyRead,
+          onCopyWrite,
+          onCopyEnd,
+        );
+      }
+
+      inCleanup = function cleanup() {
+        fileSummary.duration = performance.now() - fileStartTime;
+      };
+
+      inAbort = function abort() {
+        isAborted = true;
+        if (isCopying) {
+          // A read or write may be pending until onCopyEnd
+          copyStopCallbacks ||= [];
+          stopCopy();
+        }
+      };
+
+      if (inStats && inStats.isFile()) {
+        copyFrom();
+      } else {
+        // Read pipes, devices, etc. (or errors) using streams
+        pipeFile(inFd, inStats);
+      }
+    }
+
+    // Starts reading the file, from inFd if it was opened by checkInput
+    function startFile(inFd, inStats) {
+      isStarted = true;
+      // Named files are checked before header or footer, and opened files
+      // are readable, so separate them now.  Otherwise, wait for output.
+      if (formatHeader || formatFooter || inFd !== undefined) {
+        writeSeparator();
+      }
+      if (formatHeader) {
+        writeText(formatHeader(getTemplateValues(
+          fileName,
+          fileIndex,
+          fileStats,
+        )));
+      }
+
+      if (outFd !== undefined
+        && inFd !== undefined
+        && !byteRange
+        // Data written by previous streams (or text) must be written first
+        && !outStream.writableLength) {
+        copyFile(inFd, inStats);
+      } else {
+        pipeFile(inFd, inStats);
+      }
+    }
+
+    // Gets stats of the named file for header or footer, if needed, then
+    // calls next.  Checks the file exists before writing header, as head -v
+    // does.
+    function statInput(next) {
+      if (callerStream || fileUrl || (!formatHeader && !formatFooter)) {
+        next();
+      } else {
+        fs.stat(filePath, next);
+      }
+    }
+
+    // Checks that the input is not the output file (if outStream is a
+    // regular file) and gets stats of the file to follow (if any), then calls
+    // next with the descriptor and stats of the named file, if it was opened
+    // and can be read from the descriptor
+    function checkInput(next) {
+      // Path of a local file: URL, which is checked as a named file
+      let urlPath;
+      if (fileUrl && outStats && fileUrl.protocol === 'file:') {
+        try {
+          urlPath = fileURLToPath(fileUrl);
+        } catch {
+          // Not a local path (e.g. has a host).  Reported when read.
+        }
+      }
+
+      if ((fileUrl && urlPath === undefined)
+        || (!outStats && !followEntry)) {
+        next();
+      } else if (callerStream) {
+        if (!Number.isInteger(callerStream.fd)) {
+          next();
+          return;
+        }
+
+        fs.fstat(callerStream.fd, (err, stats) => {
+          // Errors are reported when the stream is read
+          next(!err && isOutFile(stats, 0) ? createSameFileError() : undefined);
+        });
+      } else {
+        // Check the opened file, rather than the path, which could be
+        // replaced before it is read
+        fs.open(urlPath || filePath, 'r', (errOpen, inFd) => {
+          if (errOpen) {
+            // Errors are reported (or retried) when the file is read, unless
+            // it must be checked before reading
+            next(outStats ? errOpen : undefined);
+            return;
+          }
+
+          fs.fstat(inFd, (errStat, stats) => {
+            if (!errStat && followEntry) {
+              followEntry.stats = stats;
+            }
+
+            if (!errStat
+              && isOutFile(stats, byteRange ? byteRange.start : 0)) {
+              fs.close(inFd, () => {});
+              next(createSameFileError());
+            } else if (readAheadFile || onErrorPolicy === 'retry') {
+              // Read from the stream opened before its turn, or a stream
+              // which reopens the file to retry
+              fs.close(inFd, () => {});
+              next();
+            } else {
+              // Errors are reported when the file is read
+              next(undefined, inFd, errStat ? undefined : stats);
+            }
+          });
+        });
+      }
+    }
+
+    // Reports an error which occurred before the file was started
+    function onStartError(err) {
+      clearInTimers();
+      if (readAheadFile) {
+        readAheadFile.inStream.destroy();
+      }
+      if (!isDone) {
+        if (err.code === 'ESAMEFILE'
+          && followEntry
+          && followEntries.get(filePath) === followEntry) {
+          followEntries.delete(filePath);
+        }
+        fileSummary.duration = performance.now() - fileStartTime;
+        onFileError(err, fileSummary);
+        catNext();
+      }
+    }
+
+    inCleanup = undefined;
+    inAbort = undefined;
+    statInput((errStat, stats) => {
+      if (isDone || errStat) {
+        onStartError(errStat);
+        return;
+      }
+
+      fileStats = stats;
+
+      // Opening may not complete (e.g. a FIFO with no writer), so timeouts
+      // apply while checking the input
+      let isCheckAborted = false;
+      inCleanup = function cleanup() {
+        fileSummary.duration = performance.now() - fileStartTime;
+      };
+      inAbort = function abort() {
+        isCheckAborted = true;
+        if (readAheadFile) {
+          readAheadFile.inStream.destroy();
+        }
+      };
+      startInTimers();
+      checkInput((err, inFd, inStats) => {
+        if (isCheckAborted || isDone || err) {
+          if (inFd !== undefined) {
+            fs.close(inFd, () => {});
+          }
+          if (!isCheckAborted) {
+            onStartError(err);
+          }
+          return;
+        }
+
+        startFile(inFd, inStats);
+      });
+    });
+  }
+
+  if (signal && signal.aborted) {
+    // Call back asynchronously, as when aborted later
+    queueMicrotask(onAbort);
+  } else {
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    expandNames((err) => {
+      if (err) {
+        errors.push(err);
+        reporter.error(err);
+        stopPiping();
+        allDone();
+        if (errorListener) {
+          errorListener(err);
+        }
+      } else {
+        findOutFd(catNext);
+      }
+    });
+  }
+
+  return function stop() {
+    if (!isDone) {
+      i = fileNames.length;
+      stopPiping();
+      allDone();
+    }
+  };
+}
+
+/** Concatenates named files to a temporary file, then renames it to
+ * <code>options.outputFile</code>, with arguments already checked.
+ *
+ * @private
+ * @param {!Array<string>} fileNames Names of files to be concatenated.
+ * @param {!NodecatOptions} options Options.
+ * @param {function(Error, NodecatSummary=)} callback Callback with the
+ * <code>Error</code> which occurred, if any, and a summary.
  */
-// var NodecatOptions;
+function catToFile(fileNames, options, callback) {
+  const { keepPartial, outputFile } = options;
+  const reporter =
+    createReporter(options.errStream || process.stderr, options.report);
+
+  function onTempError(err) {
+    reporter.error(err, outputFile, true);
+  }
+
+  function onOpen(tempFile) {
+    const outStream = fs.createWriteStream(tempFile.tempName, {
+      fd: tempFile.fd,
+      autoClose: false,
+    });
+
+    function finish(err, summary) {
+      function onFinished(errDone) {
+        callback(errDone, summary);
+      }
+
+      const isCommit = !err || Boolean(keepPartial);
+      // eslint-disable-next-line promise/catch-or-return
+      finishTempFile(tempFile, outputFile, isCommit)
+        .then(
+          () => err,
+          (errFinish) => {
+            onTempError(errFinish);
+            return err ? combineErrors([err, errFinish]) : errFinish;
+          },
+        )
+        // Call outside of Promise callback, so exceptions are not rejections
+        .then((errDone) => queueMicrotask(() => onFinished(errDone)));
+    }
+
+    catFiles(fileNames, { ...options, outStream }, (err, summary) => {
+      if (outStream.destroyed) {
+        // Write error, already reported
+        finish(err, summary);
+        return;
+      }
+
+      // Wait for buffered output to be written before syncing
+      outStream.end((errEnd) => {
+        if (errEnd) {
+          onTempError(errEnd);
+          finish(err ? combineErrors([err, errEnd]) : errEnd, summary);
+        } else {
+          finish(err, summary);
+        }
+      });
+    });
+  }
+
+  function onOpenError(err) {
+    onTempError(err);
+    callback(err);
+  }
+
+  // eslint-disable-next-line promise/catch-or-return
+  openTempFile(outputFile, options).then(
+    // Call outside of Promise callback, so exceptions are not rejections
+    (tempFile) => queueMicrotask(() => onOpen(tempFile)),
+    (err) => queueMicrotask(() => onOpenError(err)),
+  );
+}
 
 /** Concatenate named files.
  *
@@ -32,13 +2222,15 @@ const fs = require('node:fs');
  * order in which their content will appear.  Files may appear multiple times.
  * If the Array is empty, no output will be written.
  * @param {NodecatOptions=} options Options.
- * @param {?function(Error)=} callback Callback with the first
- * <code>Error</code> which occurred, if any.  Note that concatenation
- * continues after errors.  Required if <code>global.Promise</code> is not
- * defined.
- * @returns {Promise|undefined} If <code>callback</code> is not given and
- * <code>global.Promise</code> is defined, a <code>Promise</code> which
- * resolves once all output has been written.
+ * @param {?function(Error, NodecatSummary=)=} callback Callback with the
+ * <code>Error</code> which occurred, if any (<code>AggregateError</code> if
+ * there were several), and a summary of the files which were read.  Note
+ * that concatenation continues after read errors.  Required if
+ * <code>global.Promise</code> is not defined.
+ * @returns {Promise<NodecatSummary>|undefined} If <code>callback</code> is
+ * not given and <code>global.Promise</code> is defined, a
+ * <code>Promise</code> which resolves with a summary once all output has
+ * been written.
  */
 function nodecat(fileNames, options, callback) {
   if (!callback && typeof options === 'function') {
@@ -58,29 +2250,8 @@ function nodecat(fileNames, options, callback) {
     throw new TypeError('callback must be a function');
   }
 
-  const callerStreamEnded = {};
-  const callerStreams = (options && options.fileStreams) || {};
-  const errStream = (options && options.errStream) || process.stderr;
-  const outStream = (options && options.outStream) || process.stdout;
-
   try {
-    if (!fileNames
-        || typeof fileNames !== 'object'
-        || fileNames.length !== Math.floor(fileNames.length)) {
-      throw new TypeError('fileNames must be an Array-like object');
-    }
-    if (options && typeof options !== 'object') {
-      throw new TypeError('options must be an object');
-    }
-    if (typeof callerStreams !== 'object') {
-      throw new TypeError('options.fileStreams must be an object');
-    }
-    if (typeof outStream.write !== 'function') {
-      throw new TypeError('options.outStream must be a stream.Writable');
-    }
-    if (typeof errStream.write !== 'function') {
-      throw new TypeError('options.errStream must be a stream.Writable');
-    }
+    checkArgs(fileNames, options);
   } catch (err) {
     queueMicrotask(() => {
       callback(err);
@@ -88,88 +2259,289 @@ function nodecat(fileNames, options, callback) {
     return undefined;
   }
 
-  // Errors encountered during this nodecat invocation
-  const errors = [];
+  if (options && options.outputFile !== undefined) {
+    catToFile(fileNames, options, callback);
+  } else {
+    catFiles(fileNames, options, callback);
+  }
+  return undefined;
+}
 
-  // Cleanup function for the currently piping input stream
-  let inCleanup;
+/** Options for {@link createReadStream}.
+ *
+ * Accepts all {@link NodecatOptions} except <code>outStream</code> and
+ * <code>outputFile</code>, which are ignored.
+ *
+ * @typedef {{
+ *   collectErrors: (boolean|undefined)
+ * }} ReadStreamOptions
+ * @property {boolean=} collectErrors Continue concatenating after read
+ * errors, as {@link nodecat} does, then emit the collected error
+ * (<code>AggregateError</code> if there were several) once all other
+ * output has been read.  By default, the first error is emitted immediately
+ * and no further files are read.
+ */
+// var ReadStreamOptions;
 
-  function allDone() {
-    // eslint-disable-next-line no-use-before-define
-    outStream.removeListener('error', onOutError);
-    callback(
-      // Use null for compatibility with previous versions
-      // eslint-disable-next-line unicorn/no-null
-      errors.length === 0 ? null
-        : errors.length === 1 ? errors[0]
-          : new AggregateError(
-            errors,
-            errors.map((err) => err.message).join('\n'),
-          ),
-    );
+/** Creates a Readable stream of the concatenation of named files.
+ *
+ * Files are read as the returned stream is read:  Each file is opened only
+ * once output from the previous files has been consumed (up to the
+ * <code>highWaterMark</code> of the returned stream).  Destroying the
+ * returned stream stops concatenation and closes any open file.
+ *
+ * @param {!Array<string>} fileNames Names of files to be concatenated, in the
+ * order in which their content will appear.  Files may appear multiple times.
+ * @param {(NodecatOptions|ReadStreamOptions)=} options Options.
+ * @returns {!module:stream.Readable} Stream of concatenated file content.
+ * @throws {TypeError} If <code>fileNames</code> or <code>options</code> is
+ * not valid.
+ */
+function createReadStream(fileNames, options) {
+  checkArgs(fileNames, options);
+
+  const collectErrors = Boolean(options && options.collectErrors);
+
+  // Function to stop catFiles, once started
+  let stop;
+
+  // Has catFiles called back?
+  let isCatDone = false;
+
+  // Error to emit once all data has been read (if collectErrors)
+  let finalError;
+
+  // Callback for the write which is waiting for data to be read
+  let pendingWriteCallback;
+
+  const readable = new stream.Readable({
+    read() {
+      if (!stop) {
+        stop = catFiles(
+          fileNames,
+          // eslint-disable-next-line no-use-before-define
+          { ...options, outStream },
+          // eslint-disable-next-line no-use-before-define
+          onCatDone,
+          // eslint-disable-next-line no-use-before-define
+          onError,
+        );
+      } else if (pendingWriteCallback) {
+        const writeCallback = pendingWriteCallback;
+        pendingWriteCallback = undefined;
+        writeCallback();
+      } else if (finalError) {
+        // eslint-disable-next-line no-use-before-define
+        destroyOnceRead();
+      }
+    },
+
+    destroy(err, callback) {
+      if (stop && !isCatDone) {
+        stop();
+      }
+      // eslint-disable-next-line no-use-before-define
+      outStream.destroy();
+      callback(err);
+    },
+  });
+
+  // Stream to which catFiles writes output, which is pushed to readable
+  const outStream = new stream.Writable({
+    write(chunk, encoding, callback) {
+      if (readable.push(chunk)) {
+        callback();
+      } else {
+        pendingWriteCallback = callback;
+      }
+    },
+  });
+
+  // Destroys readable with finalError once buffered data has been read
+  function destroyOnceRead() {
+    if (readable.readableLength === 0) {
+      readable.destroy(finalError);
+    } else {
+      // Push nothing so that read is called again after more buffered data
+      // has been read.
+      readable.push(Buffer.alloc(0));
+    }
   }
 
-  // Note:  src.unpipe is called by stream.Readable internals on dest 'error'
-  function onOutError(err) {
-    errors.push(err);
-    errStream.write(`nodecat: ${err}\n`);
-    if (inCleanup) {
-      inCleanup();
+  function onError(err) {
+    if (!collectErrors) {
+      readable.destroy(err);
     }
-    allDone();
   }
-  outStream.once('error', onOutError);
 
-  let i = 0;
-  function catNext() {
-    if (i >= fileNames.length) {
-      allDone();
+  function onCatDone(err) {
+    isCatDone = true;
+    if (readable.destroyed) {
       return;
     }
 
-    const fileName = fileNames[i];
-    i += 1;
-    const callerStream = callerStreams[fileName];
-    if (callerStream && callerStreamEnded[fileName]) {
-      catNext();
-      return;
+    outStream.end(() => {
+      if (err) {
+        finalError = err;
+        destroyOnceRead();
+      } else {
+        // eslint-disable-next-line unicorn/no-null
+        readable.push(null);
+      }
+    });
+  }
+
+  return readable;
+}
+
+/** Options for {@link iterate}.
+ *
+ * Accepts {@link NodecatOptions} <code>errStream</code>,
+ * <code>fileStreams</code>, <code>report</code>, options which select
+ * files (<code>glob</code>, <code>recursive</code>, etc.), and options which
+ * select bytes from files (<code>maxBytes</code>, <code>ranges</code>, and
+ * <code>skipBytes</code>).  Options which affect output are ignored.
+ *
+ * @typedef {{
+ *   yieldErrors: (boolean|undefined)
+ * }} IterateOptions
+ * @property {boolean=} yieldErrors Yield a record for each error as it
+ * occurs, rather than throwing the collected error after all files have been
+ * read.
+ */
+// var IterateOptions;
+
+/** Record of file content (or an error) yielded by {@link iterate}.
+ *
+ * @typedef {{
+ *   fileName: string,
+ *   chunk: (!Buffer|undefined),
+ *   error: (!Error|undefined),
+ *   offset: number
+ * }} IterateRecord
+ * @property {string} fileName Name of the file from which the chunk was read
+ * (or on which the error occurred).
+ * @property {!Buffer=} chunk Chunk of content read from the file.
+ * @property {!Error=} error Error which occurred reading the file.
+ * @property {number} offset Offset of <code>chunk</code> (or
+ * <code>error</code>) from the start of the file, in bytes.
+ */
+// var IterateRecord;
+
+/** Iterates over the content of named files, in concatenation order.
+ *
+ * As with {@link nodecat}, each stream in <code>options.fileStreams</code>
+ * is read at most once, errors are written to <code>errStream</code>, and
+ * errors do not prevent later files from being read.
+ *
+ * @param {!Array<string>} fileNames Names of files to be read, in the order
+ * in which their content will be yielded.  Files may appear multiple times.
+ * @param {(NodecatOptions|IterateOptions)=} options Options.
+ * @yields {IterateRecord} Chunks of file content, tagged with the name of the
+ * file and offset from which they were read.
+ * @throws {Error} If <code>options.yieldErrors</code> is not set, once all
+ * files have been read, the <code>Error</code> which occurred
+ * (<code>AggregateError</code> if there were several).
+ * @throws {TypeError} If <code>fileNames</code> or <code>options</code> is
+ * not valid.
+ */
+async function* iterate(fileNames, options) {
+  checkArgs(fileNames, options);
+
+  const callerStreamEnded = {};
+  const callerStreams = (options && options.fileStreams) || {};
+  const reporter = createReporter(
+    (options && options.errStream) || process.stderr,
+    options && options.report,
+  );
+  const yieldErrors = Boolean(options && options.yieldErrors);
+  const failFast = Boolean(options && options.onError === 'fail-fast');
+
+  // Errors encountered during this iteration
+  const errors = [];
+
+  // Errors for names which could not be expanded, by index
+  let expandErrors = new Map();
+  if (options && (options.glob || options.recursive || options.ranges)) {
+    ({ fileNames, expandErrors } = await expandFileNames(
+      fileNames,
+      options,
+      callerStreams,
+    ));
+  }
+
+  // fileNames may be Array-like without being iterable
+  // eslint-disable-next-line unicorn/no-for-loop
+  for (let i = 0; i < fileNames.length; i += 1) {
+    if (failFast && errors.length > 0) {
+      break;
     }
 
-    const inStream = callerStream || fs.createReadStream(fileName);
+    const fileName = fileNames[i];
+    const expandError = expandErrors.get(i);
+    const { filePath, byteRange } = expandError
+      ? { filePath: fileName, byteRange: undefined }
+      : getFileRange(fileName, options);
+    const callerStream = callerStreams[filePath];
+    if (callerStream && callerStreamEnded[filePath]) {
+      continue;
+    }
 
-    function done() {
-      if (callerStream) {
-        callerStreamEnded[fileName] = true;
+    if (expandError) {
+      expandError.fileName = fileName;
+      errors.push(expandError);
+      reporter.error(expandError, fileName);
+      if (yieldErrors) {
+        yield { fileName, error: expandError, offset: 0 };
       }
-      inCleanup();
-      catNext();
+      continue;
+    }
+
+    // Note:  Caller streams are not destroyed if iteration stops early.
+    let inIterable = !callerStream
+      ? createFileStream(
+        filePath,
+        options,
+        byteRange,
+        createRetryReporter(reporter, fileName, options),
+      )
+      : typeof callerStream.iterator === 'function'
+        ? callerStream.iterator({ destroyOnReturn: false })
+        : callerStream;
+    if (byteRange && (callerStream || getFileUrl(filePath, options))) {
+      // Streams are read from the start, then sliced
+      inIterable = sliceBytes(byteRange)(inIterable);
     }
-    inStream.once('end', done);
 
-    function onInError(err) {
+    let offset = byteRange ? byteRange.start : 0;
+    try {
+      // Files are read sequentially, in concatenation order
+      // eslint-disable-next-line no-await-in-loop
+      for await (const chunk of inIterable) {
+        yield { fileName, chunk, offset };
+        // Caller streams may produce strings (e.g. with an encoding)
+        offset += Buffer.byteLength(chunk);
+      }
+    } catch (err) {
       // Mark error with the name of the file which caused it
       err.fileName = fileName;
       errors.push(err);
-      errStream.write(`nodecat: ${fileName}: ${err.message}\n`);
-      // There is no way to know whether more data may be emitted.
-      // To be safe, unpipe to prevent interleaving data after starting next.
-      if (typeof inStream.unpipe === 'function') {
-        inStream.unpipe(outStream);
+      reporter.error(err, fileName);
+      if (yieldErrors) {
+        yield { fileName, error: err, offset };
+      }
+    } finally {
+      if (callerStream) {
+        callerStreamEnded[filePath] = true;
       }
-      done();
     }
-    inStream.once('error', onInError);
-
-    inCleanup = function cleanup() {
-      inStream.removeListener('error', onInError);
-      inStream.removeListener('end', done);
-    };
-
-    inStream.pipe(outStream, { end: false });
   }
 
-  catNext();
-  return undefined;
+  if (!yieldErrors && errors.length > 0) {
+    throw combineErrors(errors);
+  }
 }
 
 module.exports = nodecat;
+module.exports.createReadStream = createReadStream;
+module.exports.iterate = iterate;
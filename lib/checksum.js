@@ -0,0 +1,79 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/checksum.js
+ */
+
+'use strict';
+
+// Characters escaped in file names, and their escapes, as by GNU sha256sum
+const nameEscapes = new Map([
+  ['\\', '\\\\'],
+  ['\n', '\\n'],
+  ['\r', '\\r'],
+]);
+const nameUnescapes = new Map(
+  [...nameEscapes].map(([char, escaped]) => [escaped[1], char]),
+);
+
+/** Formats a checksum line, as written by <code>sha256sum</code> (and
+ * <code>md5sum</code>, etc.) and read by <code>sha256sum -c</code>.
+ *
+ * A file name which contains a backslash or line break is escaped, and the
+ * line is prefixed with a backslash, as by GNU coreutils.
+ *
+ * @param {string} digest Hex-encoded digest of the file content.
+ * @param {string} fileName Name of the file.
+ * @returns {string} Checksum line, with a trailing newline.
+ */
+function formatChecksumLine(digest, fileName) {
+  const escaped = fileName.replaceAll(/[\n\r\\]/g, (c) => nameEscapes.get(c));
+  const prefix = escaped === fileName ? '' : '\\';
+  return `${prefix}${digest}  ${escaped}\n`;
+}
+
+/** Unescapes a file name escaped by {@link formatChecksumLine}.
+ *
+ * @private
+ * @param {string} escaped Escaped file name.
+ * @returns {string|undefined} Unescaped file name, or <code>undefined</code>
+ * if <code>escaped</code> contains an invalid escape.
+ */
+function unescapeName(escaped) {
+  let isValid = true;
+  const fileName = escaped.replaceAll(/\\(.?)/g, (match, c) => {
+    const char = nameUnescapes.get(c);
+    if (char === undefined) {
+      isValid = false;
+    }
+    return char;
+  });
+  return isValid ? fileName : undefined;
+}
+
+/** Parses checksum lines, as written by <code>sha256sum</code> (in text or
+ * binary mode), into digests by file name.
+ *
+ * @param {string} text Checksum lines.  Empty lines are ignored.
+ * @returns {!Map<string, string>} Lowercase hex-encoded digests by file name.
+ * @throws {Error} If a line is not a valid checksum line.
+ */
+function parseChecksums(text) {
+  const checksums = new Map();
+  for (const [index, line] of text.split(/\r?\n/).entries()) {
+    if (line) {
+      const match = /^(\\?)([\dA-Fa-f]+) [ *](.+)$/.exec(line);
+      const fileName = !match ? undefined
+        : match[1] ? unescapeName(match[3])
+          : match[3];
+      if (fileName === undefined) {
+        throw new Error(`invalid checksum line ${index + 1}`);
+      }
+      checksums.set(fileName, match[2].toLowerCase());
+    }
+  }
+  return checksums;
+}
+
+exports.formatChecksumLine = formatChecksumLine;
+exports.parseChecksums = parseChecksums;
@@ -0,0 +1,43 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/compress.js
+ */
+
+'use strict';
+
+const zlib = require('node:zlib');
+
+// Maximum compression level for each compression format
+const MAX_COMPRESS_LEVELS = new Map([
+  ['brotli', zlib.constants.BROTLI_MAX_QUALITY],
+  ['deflate', zlib.constants.Z_BEST_COMPRESSION],
+  ['gzip', zlib.constants.Z_BEST_COMPRESSION],
+]);
+
+/** Creates a stream which compresses data written to it.
+ *
+ * @param {string} format Compression format (a key in
+ * <code>MAX_COMPRESS_LEVELS</code>).
+ * @param {number=} level Compression level.
+ * @returns {!module:stream.Transform} Stream which compresses data.
+ */
+function createCompressStream(format, level) {
+  switch (format) {
+    case 'brotli':
+      return zlib.createBrotliCompress(level === undefined ? undefined : {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: level,
+        },
+      });
+    case 'deflate':
+      return zlib.createDeflate({ level });
+    case 'gzip':
+      return zlib.createGzip({ level });
+    default:
+      throw new RangeError(`Unsupported compression format: ${format}`);
+  }
+}
+
+module.exports = createCompressStream;
+module.exports.MAX_COMPRESS_LEVELS = MAX_COMPRESS_LEVELS;
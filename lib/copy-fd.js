@@ -0,0 +1,77 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/copy-fd.js
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+
+/** Copies data from one file descriptor to another, from the current
+ * position of each until the end of input, without using streams.
+ *
+ * Data is read into and written from <code>buffer</code>, which is reused
+ * for each read, so no memory is allocated per chunk.  Partial writes are
+ * continued until all data which was read has been written.
+ *
+ * @param {number} inFd File descriptor from which to read.
+ * @param {number} outFd File descriptor to which to write.
+ * @param {!Buffer} buffer Buffer to use for reading and writing.  Must not
+ * be used by the caller until <code>callback</code> is called.
+ * @param {function(number)} onRead Function called with the number of bytes
+ * read after each read which returned data, before it is written.
+ * @param {function(number, !Buffer)} onWrite Function called with the number
+ * of bytes written and the data which was written (a view of
+ * <code>buffer</code>, which is only valid during the call) after each
+ * write.
+ * @param {function(Error, boolean=)} callback Callback with the
+ * <code>Error</code> which occurred, if any, and whether it occurred while
+ * writing.  Called once, after any pending read or write completes.
+ * @returns {function()} Function which stops copying before the next read
+ * or write.
+ */
+function copyFd(inFd, outFd, buffer, onRead, onWrite, callback) {
+  let isStopped = false;
+
+  function writeBuffer(start, end) {
+    const length = end - start;
+    fs.write(outFd, buffer, start, length, undefined, (err, bytesWritten) => {
+      if (err) {
+        callback(err, true);
+        return;
+      }
+
+      onWrite(bytesWritten, buffer.subarray(start, start + bytesWritten));
+      if (isStopped) {
+        callback(undefined);
+      } else if (bytesWritten < length) {
+        writeBuffer(start + bytesWritten, end);
+      } else {
+        // eslint-disable-next-line no-use-before-define
+        readBuffer();
+      }
+    });
+  }
+
+  function readBuffer() {
+    fs.read(inFd, buffer, 0, buffer.length, undefined, (err, bytesRead) => {
+      if (err) {
+        callback(err, false);
+      } else if (bytesRead === 0 || isStopped) {
+        callback(undefined);
+      } else {
+        onRead(bytesRead);
+        writeBuffer(0, bytesRead);
+      }
+    });
+  }
+
+  readBuffer();
+
+  return function stop() {
+    isStopped = true;
+  };
+}
+
+module.exports = copyFd;
@@ -0,0 +1,101 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/decompress.js
+ */
+
+'use strict';
+
+const path = require('node:path');
+const stream = require('node:stream');
+const zlib = require('node:zlib');
+
+// Second byte of a zlib header with 32K window (first byte 0x78), for
+// compression levels 0-1, 6 (default), and 7-9, without a preset dictionary.
+// Levels 2-5 produce 0x5E ("^"), which is not accepted since "x^" is likely
+// to be text, as are other values (e.g. "xC") not produced by common encoders.
+const ZLIB_FLG_BYTES = new Set([0x01, 0x9C, 0xDA]);
+
+/** Creates a stream to decompress data based on its first bytes.
+ *
+ * @private
+ * @param {!Buffer} head First (at least 2, if available) bytes of the data.
+ * @param {string} fileName Name of the file which contains the data.
+ * @returns {module:stream.Transform|undefined} Stream to decompress the
+ * data, or <code>undefined</code> if it is not compressed.
+ */
+function createDecompressor(head, fileName) {
+  if (head[0] === 0x1F && head[1] === 0x8B) {
+    // Gunzip decompresses each member of multi-member gzip files
+    return zlib.createGunzip();
+  }
+
+  if (head[0] === 0x78 && ZLIB_FLG_BYTES.has(head[1])) {
+    return zlib.createInflate();
+  }
+
+  // Brotli streams have no magic number.  Trial decoding misidentifies a
+  // few percent of uncompressed files (any bytes can start a valid stream),
+  // so the file extension is used instead.
+  if (path.extname(fileName) === '.br') {
+    return zlib.createBrotliDecompress();
+  }
+
+  return undefined;
+}
+
+/** Decompresses gzip (including multi-member), zlib (deflate), and brotli
+ * file content.  Content which is not compressed is passed through unchanged.
+ *
+ * gzip and zlib content is recognized by its first bytes, regardless of the
+ * file name.  Brotli content is recognized by a <code>.br</code> file
+ * extension, since the format can not be recognized by content.
+ *
+ * @param {!object} source Async iterable of the content of the file.
+ * @param {string} fileName Name of the file.
+ * @yields {!Buffer} Decompressed content of the file.
+ * @throws {Error} If compressed content is not valid.
+ */
+async function* decompress(source, fileName) {
+  const iterator = source[Symbol.asyncIterator]();
+
+  // Read enough to recognize the format
+  const headChunks = [];
+  let headLength = 0;
+  while (headLength < 2) {
+    // eslint-disable-next-line no-await-in-loop
+    const { done, value } = await iterator.next();
+    if (done) {
+      break;
+    }
+    headChunks.push(value);
+    headLength += value.length;
+  }
+  const head = Buffer.concat(headChunks);
+
+  async function* readAll() {
+    if (head.length > 0) {
+      yield head;
+    }
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const { done, value } = await iterator.next();
+      if (done) {
+        return;
+      }
+      yield value;
+    }
+  }
+
+  const decompressor = createDecompressor(head, fileName);
+  if (!decompressor) {
+    yield* readAll();
+    return;
+  }
+
+  // Errors from either stream are thrown when decompressor is iterated
+  stream.pipeline(stream.Readable.from(readAll()), decompressor, () => {});
+  yield* decompressor;
+}
+
+module.exports = decompress;
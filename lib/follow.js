@@ -0,0 +1,257 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/follow.js
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+
+// Maximum number of bytes read at once from a followed file
+const READ_SIZE = 64 * 1024;
+
+/** File to follow.
+ *
+ * @typedef {{
+ *   fileName: string,
+ *   position: number,
+ *   stats: (module:fs.Stats|undefined)
+ * }} FollowFile
+ * @property {string} fileName Name of the file.
+ * @property {number} position Offset in the file after the data which has
+ * been read.
+ * @property {module:fs.Stats=} stats Stats of the file which was read, if
+ * known.  Used to detect a file which was replaced after it was read.
+ */
+// var FollowFile;
+
+/** Options for {@link followFiles}.
+ *
+ * @typedef {{
+ *   interval: number,
+ *   mode: string
+ * }} FollowOptions
+ * @property {number} interval Time between checks for appended data, in
+ * milliseconds.
+ * @property {string} mode How files are followed:  <code>descriptor</code>
+ * to follow the file which was opened, even if it is renamed or removed, or
+ * <code>name</code> to follow the file with the name, reopening it when it
+ * is replaced (e.g. by log rotation) and waiting for it if it does not exist.
+ */
+// var FollowOptions;
+
+/** Determines whether stats are for the same file.
+ *
+ * @private
+ * @param {!module:fs.Stats} stats1 Stats of a file.
+ * @param {!module:fs.Stats} stats2 Stats of a file.
+ * @returns {boolean} <code>true</code> if the stats have the same device and
+ * inode numbers.
+ */
+function isSameFile(stats1, stats2) {
+  return stats1.dev === stats2.dev && stats1.ino === stats2.ino;
+}
+
+/** Follows files, as by <code>tail -f</code>, passing data appended to each
+ * file to a function.
+ *
+ * Files are checked in order every <code>options.interval</code>
+ * milliseconds.  A file which is smaller than the position already read has
+ * been truncated, and is read from the start.  A file which was replaced
+ * after it was read (with <code>stats</code>) is read from the start with
+ * <code>name</code>, and is not followed with <code>descriptor</code>.
+ *
+ * @param {!Array<FollowFile>} files Files to follow.
+ * @param {FollowOptions} options Options.
+ * @param {function(!Buffer, number): !Promise} onData Function called with
+ * data appended to a file and the index of the file in <code>files</code>.
+ * Returns a <code>Promise</code> which resolves when more data may be passed.
+ * @param {function(string, number)} onNotice Function called with a message
+ * about a change to a file (e.g. truncation) and the index of the file.
+ * @param {function(!Error, number)} onError Function called with an error
+ * which occurred following a file and the index of the file.  With
+ * <code>descriptor</code>, the file is no longer followed.  With
+ * <code>name</code>, the file is checked again, and an error with the same
+ * <code>code</code> as the previous error is not reported again.
+ * @returns {function(function())} Function which stops following and calls a
+ * callback once all files are closed.
+ */
+function followFiles(files, options, onData, onNotice, onError) {
+  const byName = options.mode === 'name';
+  const states = files.map(({ fileName, position, stats }, index) => ({
+    fileName,
+    index,
+    position,
+    handle: undefined,
+    stats,
+    // Is the file no longer followed (due to an error)?
+    isDone: false,
+    // Code of the last error, to avoid repeating errors when following by name
+    errorCode: undefined,
+  }));
+
+  let isStopped = false;
+  let timeout;
+  let onStopped;
+
+  // Reads data appended to a file since the last read
+  async function readAppended(state) {
+    const { size } = await state.handle.stat();
+    if (size < state.position) {
+      onNotice('file truncated', state.index);
+      state.position = 0;
+    }
+
+    while (!isStopped && state.position < size) {
+      const buffer =
+        Buffer.allocUnsafe(Math.min(size - state.position, READ_SIZE));
+      const { bytesRead } =
+        // eslint-disable-next-line no-await-in-loop
+        await state.handle.read(buffer, 0, buffer.length, state.position);
+      if (bytesRead === 0) {
+        // Truncated while reading.  Detected on next check.
+        return;
+      }
+
+      state.position += bytesRead;
+      // eslint-disable-next-line no-await-in-loop
+      await onData(buffer.subarray(0, bytesRead), state.index);
+    }
+  }
+
+  // Opens the file, if it has been replaced (when following by name)
+  async function reopen(state) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(state.fileName);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        // Removed (or not yet created).  Continue with the open file, if any.
+        return;
+      }
+      throw err;
+    }
+
+    const isReplaced =
+      state.stats !== undefined && !isSameFile(stats, state.stats);
+    if (state.handle && !isReplaced) {
+      return;
+    }
+
+    if (isReplaced) {
+      if (state.handle) {
+        // Read any data appended before the file was replaced
+        await readAppended(state);
+        await state.handle.close();
+        state.handle = undefined;
+      }
+      onNotice('file replaced, following new file', state.index);
+      state.position = 0;
+    }
+
+    state.handle = await fs.promises.open(state.fileName);
+    state.stats = await state.handle.stat();
+  }
+
+  // Opens the file, unless it was replaced after it was read (when following
+  // by descriptor)
+  async function open(state) {
+    const handle = await fs.promises.open(state.fileName);
+    let stats;
+    try {
+      stats = await handle.stat();
+    } catch (err) {
+      await handle.close();
+      throw err;
+    }
+
+    if (state.stats && !isSameFile(stats, state.stats)) {
+      await handle.close();
+      state.isDone = true;
+      onNotice('file replaced, not followed', state.index);
+      return;
+    }
+
+    state.handle = handle;
+    state.stats = stats;
+  }
+
+  async function checkFile(state) {
+    if (byName) {
+      await reopen(state);
+    } else if (!state.handle) {
+      await open(state);
+    }
+
+    if (state.handle) {
+      await readAppended(state);
+    }
+  }
+
+  async function closeAll() {
+    await Promise.all(states.map(async (state) => {
+      if (state.handle) {
+        await state.handle.close().catch(() => {});
+        state.handle = undefined;
+      }
+    }));
+  }
+
+  async function checkAll() {
+    for (const state of states) {
+      if (isStopped) {
+        return;
+      }
+
+      if (!state.isDone) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await checkFile(state);
+          state.errorCode = undefined;
+        } catch (err) {
+          if (!byName) {
+            state.isDone = true;
+            onError(err, state.index);
+          } else if (err.code === undefined || err.code !== state.errorCode) {
+            state.errorCode = err.code;
+            onError(err, state.index);
+          }
+        }
+      }
+    }
+  }
+
+  function check() {
+    timeout = undefined;
+    // eslint-disable-next-line promise/catch-or-return
+    checkAll().then(async () => {
+      if (!isStopped) {
+        timeout = setTimeout(check, options.interval);
+        return;
+      }
+
+      await closeAll();
+      // Call outside of Promise callback, so exceptions are not rejections
+      queueMicrotask(onStopped);
+    });
+  }
+
+  check();
+
+  return function stop(callback) {
+    isStopped = true;
+    if (timeout === undefined) {
+      // Called once the current check completes
+      onStopped = callback;
+      return;
+    }
+
+    clearTimeout(timeout);
+    timeout = undefined;
+    // eslint-disable-next-line promise/catch-or-return
+    closeAll().then(() => queueMicrotask(callback));
+  };
+}
+
+module.exports = followFiles;
@@ -0,0 +1,229 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/format-stream.js
+ */
+
+'use strict';
+
+const { Transform } = require('node:stream');
+
+const CARET = 0x5E;
+const CR = 0x0D;
+const DEL = 0x7F;
+const NEWLINE = 0x0A;
+const SPACE = 0x20;
+const TAB = 0x09;
+
+const CR_BUFFER = Buffer.from('\r');
+const CR_NOTATION = Buffer.from('^M');
+const NEWLINE_BUFFER = Buffer.from('\n');
+const SHOW_CR_END_BUFFER = Buffer.from('^M$\n');
+const SHOW_END_BUFFER = Buffer.from('$\n');
+const TAB_NOTATION = Buffer.from('^I');
+
+/** Options for {@link createFormatStream}.
+ *
+ * @typedef {{
+ *   number: (boolean|undefined),
+ *   numberNonblank: (boolean|undefined),
+ *   showEnds: (boolean|undefined),
+ *   showNonprinting: (boolean|undefined),
+ *   showTabs: (boolean|undefined),
+ *   squeezeBlank: (boolean|undefined)
+ * }} FormatOptions
+ * @property {boolean=} number Number all output lines.
+ * @property {boolean=} numberNonblank Number non-blank output lines.
+ * Overrides <code>number</code>.
+ * @property {boolean=} showEnds Display <code>$</code> at the end of each
+ * line.  Unless <code>showNonprinting</code> is set, a carriage return
+ * before a newline is displayed as <code>^M</code>.
+ * @property {boolean=} showNonprinting Display control characters (except
+ * tab and newline) using <code>^</code> notation and bytes with the high bit
+ * set using <code>M-</code> notation.
+ * @property {boolean=} showTabs Display tab characters as <code>^I</code>.
+ * @property {boolean=} squeezeBlank Suppress repeated blank lines.
+ */
+// var FormatOptions;
+
+/** Creates a Transform stream which formats concatenated output in the
+ * manner of GNU cat.
+ *
+ * State is kept between chunks, so lines may be split across any number of
+ * chunks (and therefore across files) without affecting the output.
+ *
+ * @param {FormatOptions=} options Options.
+ * @returns {!module:stream.Transform} Transform stream which formats data
+ * written to it.
+ */
+function createFormatStream(options) {
+  const numberNonblank = Boolean(options
+    && (options.number || options.numberNonblank));
+  const numberBlank = Boolean(options
+    && options.number
+    && !options.numberNonblank);
+  const showEnds = Boolean(options && options.showEnds);
+  const showNonprinting = Boolean(options && options.showNonprinting);
+  const showTabs = Boolean(options && options.showTabs);
+  const squeezeBlank = Boolean(options && options.squeezeBlank);
+
+  // Line number of the most recently numbered line
+  let lineNum = 0;
+
+  // Number of consecutive newlines at the current position, as in GNU cat:
+  // -1 in the middle of a line, 0 at the start of a line after a non-blank
+  // line, 1 after one blank line, 2 after more than one blank line.
+  let newlines = 0;
+
+  // Is there a carriage return at the end of the previous chunk which has
+  // not been written (since it depends on whether a newline follows)?
+  let pendingCr = false;
+
+  function nextLineNum() {
+    lineNum += 1;
+    return Buffer.from(`${String(lineNum).padStart(6)}\t`);
+  }
+
+  /** Formats text using ^ and M- notation, as done by cat -v.
+   *
+   * @private
+   * @param {!Buffer} text Text without newlines to format.
+   * @returns {!Buffer} Formatted text.
+   */
+  function showNonprintingText(text) {
+    // Each byte is formatted as at most 4 bytes (M-^?)
+    const formatted = Buffer.allocUnsafe(text.length * 4);
+    let length = 0;
+    for (let ch of text) {
+      if (ch === TAB && !showTabs) {
+        formatted[length] = ch;
+        length += 1;
+        continue;
+      }
+
+      if (ch >= 128) {
+        formatted[length] = 0x4D; // M
+        formatted[length + 1] = 0x2D; // -
+        length += 2;
+        ch -= 128;
+      }
+
+      if (ch === DEL) {
+        formatted[length] = CARET;
+        formatted[length + 1] = 0x3F; // ?
+        length += 2;
+      } else if (ch >= SPACE) {
+        formatted[length] = ch;
+        length += 1;
+      } else {
+        formatted[length] = CARET;
+        formatted[length + 1] = ch + 64;
+        length += 2;
+      }
+    }
+
+    return formatted.subarray(0, length);
+  }
+
+  /** Formats text without newlines, adding the result to parts.
+   *
+   * @private
+   * @param {!Buffer} text Text without newlines to format.
+   * @param {boolean} isChunkEnd Is text at the end of the current chunk?
+   * @param {!Array<!Buffer>} parts Formatted output.
+   */
+  function formatText(text, isChunkEnd, parts) {
+    if (showNonprinting) {
+      parts.push(showNonprintingText(text));
+      return;
+    }
+
+    let crNotation;
+    if (showEnds && text.at(-1) === CR) {
+      text = text.subarray(0, -1);
+      if (isChunkEnd) {
+        pendingCr = true;
+      } else {
+        // Text ends before a newline
+        crNotation = CR_NOTATION;
+      }
+    }
+
+    if (showTabs) {
+      let start = 0;
+      for (let tab = text.indexOf(TAB);
+        tab !== -1;
+        tab = text.indexOf(TAB, start)) {
+        parts.push(text.subarray(start, tab), TAB_NOTATION);
+        start = tab + 1;
+      }
+      parts.push(text.subarray(start));
+    } else {
+      parts.push(text);
+    }
+
+    if (crNotation) {
+      parts.push(crNotation);
+    }
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const parts = [];
+      let start = 0;
+      while (start < chunk.length) {
+        if (chunk[start] === NEWLINE) {
+          if (newlines >= 0) {
+            // Newline ends a blank line
+            newlines = Math.min(newlines + 1, 2);
+            if (newlines === 2 && squeezeBlank) {
+              start += 1;
+              continue;
+            }
+
+            if (numberBlank) {
+              parts.push(nextLineNum());
+            }
+          } else {
+            newlines = 0;
+          }
+
+          if (showEnds) {
+            parts.push(pendingCr ? SHOW_CR_END_BUFFER : SHOW_END_BUFFER);
+            pendingCr = false;
+          } else {
+            parts.push(NEWLINE_BUFFER);
+          }
+          start += 1;
+        } else {
+          if (pendingCr) {
+            parts.push(CR_BUFFER);
+            pendingCr = false;
+          }
+
+          if (newlines >= 0 && numberNonblank) {
+            parts.push(nextLineNum());
+          }
+
+          newlines = -1;
+          const end = chunk.indexOf(NEWLINE, start);
+          const lineEnd = end === -1 ? chunk.length : end;
+          formatText(
+            chunk.subarray(start, lineEnd),
+            lineEnd === chunk.length,
+            parts,
+          );
+          start = lineEnd;
+        }
+      }
+
+      callback(undefined, Buffer.concat(parts));
+    },
+
+    flush(callback) {
+      callback(undefined, pendingCr ? CR_BUFFER : undefined);
+    },
+  });
+}
+
+module.exports = createFormatStream;
@@ -0,0 +1,406 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/glob.js
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const isWindows = process.platform === 'win32';
+
+// Backslash is a path separator on Windows, so it can not escape characters
+const isBackslashEscape = !isWindows;
+const isSeparator = isWindows
+  ? (ch) => ch === '/' || ch === '\\'
+  : (ch) => ch === '/';
+
+// Segment which matches any number of directories
+const GLOBSTAR = Symbol('globstar');
+
+function escapeRegExp(text) {
+  return text.replaceAll(/[$()*+.?[\\\]^{|}]/g, '\\$&');
+}
+
+function compareNames(name1, name2) {
+  return name1 < name2 ? -1 : name1 > name2 ? 1 : 0;
+}
+
+/** Gets the index of the end of the bracket expression which starts at a
+ * given index.
+ *
+ * @private
+ * @param {string} pattern Glob pattern.
+ * @param {number} start Index of <code>[</code> in <code>pattern</code>.
+ * @returns {number} Index of the <code>]</code> which ends the bracket
+ * expression, or -1 if it is not terminated (and is therefore literal).
+ */
+function findBracketEnd(pattern, start) {
+  let i = start + 1;
+  if (pattern[i] === '!' || pattern[i] === '^') {
+    i += 1;
+  }
+  // ] at the start of the expression is literal
+  if (pattern[i] === ']') {
+    i += 1;
+  }
+  for (; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === ']') {
+      return i;
+    }
+    if (isSeparator(ch)) {
+      return -1;
+    }
+    if (ch === '\\' && isBackslashEscape) {
+      i += 1;
+    }
+  }
+  return -1;
+}
+
+/** Gets the alternatives of the brace set which starts at a given index.
+ *
+ * @private
+ * @param {string} pattern Glob pattern.
+ * @param {number} start Index of <code>{</code> in <code>pattern</code>.
+ * @returns {{alternatives: !Array<string>, end: number}|undefined}
+ * Alternatives in the set and the index of the <code>}</code> which ends it,
+ * or <code>undefined</code> if it is not a set (i.e. is not terminated or
+ * has no top-level comma), and is therefore literal.
+ */
+function parseBraceSet(pattern, start) {
+  const alternatives = [];
+  let altStart = start + 1;
+  let depth = 1;
+  for (let i = start + 1; i < pattern.length; i += 1) {
+    switch (pattern[i]) {
+      case '\\':
+        if (isBackslashEscape) {
+          i += 1;
+        }
+        break;
+      case '[': {
+        const end = findBracketEnd(pattern, i);
+        if (end !== -1) {
+          i = end;
+        }
+        break;
+      }
+      case '{':
+        depth += 1;
+        break;
+      case '}':
+        depth -= 1;
+        if (depth === 0) {
+          if (alternatives.length === 0) {
+            return undefined;
+          }
+          alternatives.push(pattern.slice(altStart, i));
+          return { alternatives, end: i };
+        }
+        break;
+      case ',':
+        if (depth === 1) {
+          alternatives.push(pattern.slice(altStart, i));
+          altStart = i + 1;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  return undefined;
+}
+
+/** Expands brace sets (e.g. <code>{a,b}</code>) in a glob pattern, in the
+ * manner of the shell.
+ *
+ * @private
+ * @param {string} pattern Glob pattern.
+ * @returns {!Array<string>} Patterns with each combination of alternatives,
+ * in order.
+ */
+function expandBraces(pattern) {
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '\\' && isBackslashEscape) {
+      i += 1;
+    } else if (ch === '[') {
+      const end = findBracketEnd(pattern, i);
+      if (end !== -1) {
+        i = end;
+      }
+    } else if (ch === '{') {
+      const braceSet = parseBraceSet(pattern, i);
+      if (braceSet) {
+        const prefix = pattern.slice(0, i);
+        const suffix = pattern.slice(braceSet.end + 1);
+        return braceSet.alternatives.flatMap(
+          (alternative) => expandBraces(prefix + alternative + suffix),
+        );
+      }
+    }
+  }
+  return [pattern];
+}
+
+/** Converts the content of a bracket expression to a RegExp character class.
+ *
+ * @private
+ * @param {string} content Characters between <code>[</code> and
+ * <code>]</code>.
+ * @returns {string|!RegExp} The character, if the expression matches a
+ * single character, otherwise RegExp source for a character class.
+ */
+function parseBracket(content) {
+  let i = 0;
+  const negate = content[0] === '!' || content[0] === '^';
+  if (negate) {
+    i += 1;
+  }
+
+  const chars = [];
+  let source = '';
+  for (; i < content.length; i += 1) {
+    let ch = content[i];
+    if (ch === '\\' && isBackslashEscape && i + 1 < content.length) {
+      i += 1;
+      ch = content[i];
+    }
+
+    if (content[i + 1] === '-' && i + 2 < content.length) {
+      source += `${escapeRegExp(ch)}-${escapeRegExp(content[i + 2])}`;
+      chars.push(undefined);
+      i += 2;
+    } else {
+      source += escapeRegExp(ch);
+      chars.push(ch);
+    }
+  }
+
+  if (!negate && chars.length === 1 && chars[0] !== undefined) {
+    return chars[0];
+  }
+
+  return new RegExp(`[${negate ? '^' : ''}${source}]`);
+}
+
+/** Parses a path segment of a glob pattern.
+ *
+ * @private
+ * @param {string} segment Path segment of a glob pattern.
+ * @returns {string|symbol|{regexp: !RegExp, matchesDot: boolean}} The
+ * segment with escapes removed, if it matches a single name,
+ * <code>GLOBSTAR</code> if it is <code>**</code>, otherwise a RegExp which
+ * matches names and whether it matches names starting with <code>.</code>.
+ */
+function parseSegment(segment) {
+  if (segment === '**') {
+    return GLOBSTAR;
+  }
+
+  let literal = '';
+  let source = '';
+  let isLiteral = true;
+  for (let i = 0; i < segment.length; i += 1) {
+    const ch = segment[i];
+    if (ch === '\\' && isBackslashEscape && i + 1 < segment.length) {
+      i += 1;
+      literal += segment[i];
+      source += escapeRegExp(segment[i]);
+    } else if (ch === '*') {
+      isLiteral = false;
+      source += '.*';
+    } else if (ch === '?') {
+      isLiteral = false;
+      source += '.';
+    } else if (ch === '[' && findBracketEnd(segment, i) !== -1) {
+      const end = findBracketEnd(segment, i);
+      const bracket = parseBracket(segment.slice(i + 1, end));
+      if (typeof bracket === 'string') {
+        literal += bracket;
+        source += escapeRegExp(bracket);
+      } else {
+        isLiteral = false;
+        source += bracket.source;
+      }
+      i = end;
+    } else {
+      literal += ch;
+      source += escapeRegExp(ch);
+    }
+  }
+
+  if (isLiteral) {
+    return literal;
+  }
+
+  return {
+    regexp: new RegExp(`^${source}$`, isWindows ? 'is' : 's'),
+    // Names starting with . are only matched by segments starting with .
+    matchesDot: source.startsWith('\\.'),
+  };
+}
+
+function splitSegments(pattern) {
+  const segments = [];
+  let start = 0;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '\\' && isBackslashEscape) {
+      i += 1;
+    } else if (ch === '[') {
+      const end = findBracketEnd(pattern, i);
+      if (end !== -1) {
+        i = end;
+      }
+    } else if (isSeparator(ch)) {
+      segments.push(pattern.slice(start, i));
+      start = i + 1;
+    }
+  }
+  segments.push(pattern.slice(start));
+  return segments;
+}
+
+/** Adds the names of files which match path segments in a directory to
+ * <code>matches</code>.
+ *
+ * @private
+ * @param {string} dir Directory in which to match (<code>''</code> for
+ * the current working directory).
+ * @param {!Array<string|symbol|!object>} segments Parsed non-empty
+ * segments to match.
+ * @param {!Set<string>} matches Names of matching files.
+ * @returns {!Promise} Promise which resolves once all matches are added.
+ */
+async function matchSegments(dir, segments, matches) {
+  const [segment, ...rest] = segments;
+  if (typeof segment === 'string') {
+    const fileName = path.join(dir, segment);
+    if (rest.length > 0) {
+      await matchSegments(fileName, rest, matches);
+      return;
+    }
+
+    try {
+      await fs.promises.lstat(fileName);
+      matches.add(fileName);
+    } catch {
+      // File does not exist (or is not accessible)
+    }
+    return;
+  }
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir || '.', { withFileTypes: true });
+  } catch {
+    // Not a directory (or not accessible)
+    return;
+  }
+
+  const promises = [];
+  if (segment === GLOBSTAR) {
+    // Match zero directories
+    if (rest.length > 0) {
+      promises.push(matchSegments(dir, rest, matches));
+    }
+
+    for (const entry of entries) {
+      if (!entry.name.startsWith('.')) {
+        const fileName = path.join(dir, entry.name);
+        if (rest.length === 0) {
+          matches.add(fileName);
+        }
+        // Don't follow symbolic links, which may form cycles
+        if (entry.isDirectory()) {
+          promises.push(matchSegments(fileName, segments, matches));
+        }
+      }
+    }
+  } else {
+    for (const entry of entries) {
+      if ((segment.matchesDot || !entry.name.startsWith('.'))
+        && segment.regexp.test(entry.name)) {
+        const fileName = path.join(dir, entry.name);
+        if (rest.length === 0) {
+          matches.add(fileName);
+        } else {
+          promises.push(matchSegments(fileName, rest, matches));
+        }
+      }
+    }
+  }
+
+  await Promise.all(promises);
+}
+
+/** Expands a glob pattern, in the manner of the shell.
+ *
+ * Supports <code>*</code>, <code>?</code>, bracket expressions (e.g.
+ * <code>[a-z]</code> or <code>[!0-9]</code>), <code>**</code> to match any
+ * number of directories, and brace sets (e.g. <code>{a,b}</code>).  Names
+ * starting with <code>.</code> are only matched by a <code>.</code> in the
+ * pattern.  Special characters may be escaped by a single-character bracket
+ * expression (e.g. <code>[*]</code>) or, except on Windows, a backslash.
+ *
+ * @param {string} pattern Glob pattern.
+ * @returns {!Promise<!Array<string>>} Promise for the names of matching
+ * files, sorted by UTF-16 code unit for each brace set alternative.  Patterns
+ * (or alternatives) without wildcards produce the name with any escapes
+ * removed, whether or not the file exists.
+ */
+async function expandGlob(pattern) {
+  const { root } = path.parse(pattern);
+  const results = await Promise.all(
+    expandBraces(pattern.slice(root.length)).map(async (alternative) => {
+      const segments = splitSegments(alternative).map(parseSegment);
+      if (segments.every((segment) => typeof segment === 'string')) {
+        return [root + segments.join(path.sep)];
+      }
+
+      const matches = new Set();
+      await matchSegments(
+        root,
+        segments.filter((segment) => segment !== ''),
+        matches,
+      );
+      return [...matches].sort(compareNames);
+    }),
+  );
+  return results.flat();
+}
+
+/** Creates a function which matches names (without path separators)
+ * against a glob pattern.
+ *
+ * Unlike {@link expandGlob}, names starting with <code>.</code> are matched
+ * by wildcards.
+ *
+ * @param {string} pattern Glob pattern for a single path segment.
+ * @returns {function(string): boolean} Function which returns
+ * <code>true</code> for names which match <code>pattern</code>.
+ */
+function createNameMatcher(pattern) {
+  const segments = expandBraces(pattern).map(parseSegment);
+  return (name) => segments.some((segment) => (
+    typeof segment === 'string' ? segment === name
+      : segment === GLOBSTAR || segment.regexp.test(name)));
+}
+
+/** Escapes characters in a file name which are special in glob patterns.
+ *
+ * @param {string} fileName Name of a file.
+ * @returns {string} Glob pattern which matches only <code>fileName</code>.
+ */
+function escapeGlob(fileName) {
+  return fileName.replaceAll(/[*?[{]/g, '[$&]');
+}
+
+exports.createNameMatcher = createNameMatcher;
+exports.escapeGlob = escapeGlob;
+exports.expandGlob = expandGlob;
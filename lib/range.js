@@ -0,0 +1,200 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/range.js
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const stream = require('node:stream');
+
+// Matches a range (e.g. "1024:4096", "10:", or ":20")
+const RANGE_PATTERN = /^(\d*):(\d*)$/;
+
+// Matches a file name with a range suffix (e.g. "file.bin@1024:4096")
+const RANGE_SUFFIX_PATTERN = /^(.*)@(\d*:\d*)$/s;
+
+/** Range of bytes or lines, from <code>start</code> (inclusive) to
+ * <code>end</code> (exclusive), counting from 0.
+ *
+ * @typedef {{
+ *   start: (number|undefined),
+ *   end: (number|undefined)
+ * }} Range
+ * @property {number=} start Index of the first byte or line in the range.
+ * (default: 0)
+ * @property {number=} end Index after the last byte or line in the range.
+ * (default: to end of file)
+ */
+// var Range;
+
+/** Parses a range of the form <code>START:END</code>, where either may be
+ * omitted.
+ *
+ * @param {string} text Range to parse.
+ * @returns {Range} Parsed range.
+ * @throws {Error} If <code>text</code> is not a valid range.
+ */
+function parseRange(text) {
+  const match = RANGE_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(`invalid range '${text}'`);
+  }
+
+  const start = match[1] ? Number(match[1]) : 0;
+  const end = match[2] ? Number(match[2]) : undefined;
+  if (end < start) {
+    throw new Error(`invalid range '${text}' (end before start)`);
+  }
+
+  return { start, end };
+}
+
+/** Splits a range suffix (e.g. <code>@1024:4096</code>) from a file name.
+ *
+ * A file name which ends with <code>@START:END</code> can be named with an
+ * empty range suffix (e.g. <code>a@1:2@:</code>).
+ *
+ * @param {string} operand File name, with optional range suffix.
+ * @returns {{fileName: string, range: (Range|undefined)}} File name without
+ * range suffix, and the range, if any.
+ * @throws {Error} If the range suffix is not a valid range.
+ */
+function splitRange(operand) {
+  const match = RANGE_SUFFIX_PATTERN.exec(operand);
+  if (!match) {
+    return { fileName: operand, range: undefined };
+  }
+
+  return { fileName: match[1], range: parseRange(match[2]) };
+}
+
+/** Creates a function which selects a range of bytes from file content.
+ *
+ * @param {Range} range Range of bytes to select.
+ * @returns {function(!object): !object} Async generator function which
+ * yields the bytes in <code>range</code> from an async iterable of
+ * <code>Buffer</code>s.  Stops reading after the end of the range.
+ */
+function sliceBytes(range) {
+  const { start = 0, end = Infinity } = range;
+  return async function* selectBytes(source) {
+    if (end <= start) {
+      return;
+    }
+
+    let offset = 0;
+    for await (const chunk of source) {
+      const chunkStart = Math.max(start - offset, 0);
+      const chunkEnd = Math.min(end - offset, chunk.length);
+      if (chunkEnd > chunkStart) {
+        yield chunk.subarray(chunkStart, chunkEnd);
+      }
+
+      offset += chunk.length;
+      if (offset >= end) {
+        return;
+      }
+    }
+  };
+}
+
+/** Creates a function which selects a range of lines from file content.
+ *
+ * @param {Range} range Range of lines to select.
+ * @returns {function(!object): !object} Async generator function which
+ * yields the lines in <code>range</code> from an async iterable of
+ * <code>Buffer</code>s.  Stops reading after the end of the range.
+ */
+function sliceLines(range) {
+  const { start = 0, end = Infinity } = range;
+  return async function* selectLines(source) {
+    if (end <= start) {
+      return;
+    }
+
+    // Index of the line containing the current position
+    let line = 0;
+    for await (const chunk of source) {
+      let pos = 0;
+      while (line < start && pos < chunk.length) {
+        const newlineIndex = chunk.indexOf(0x0A, pos);
+        if (newlineIndex === -1) {
+          pos = chunk.length;
+        } else {
+          line += 1;
+          pos = newlineIndex + 1;
+        }
+      }
+
+      let selectEnd = pos;
+      while (line >= start && line < end && selectEnd < chunk.length) {
+        const newlineIndex = chunk.indexOf(0x0A, selectEnd);
+        if (newlineIndex === -1) {
+          selectEnd = chunk.length;
+        } else {
+          line += 1;
+          selectEnd = newlineIndex + 1;
+        }
+      }
+
+      if (selectEnd > pos) {
+        yield chunk.subarray(pos, selectEnd);
+      }
+
+      if (line >= end) {
+        return;
+      }
+    }
+  };
+}
+
+/** Reads a range of bytes from a named file.
+ *
+ * @private
+ * @param {string} fileName Name of the file to read.
+ * @param {Range} range Range of bytes to read.
+ * @yields {!Buffer} Content of the file in <code>range</code>.
+ */
+async function* readRange(fileName, range) {
+  const stats = await fs.promises.stat(fileName);
+  if (!stats.isFile()) {
+    // Pipes, devices, etc. may not support reading at a position
+    yield* sliceBytes(range)(fs.createReadStream(fileName));
+    return;
+  }
+
+  const { start = 0, end } = range;
+  if (end === undefined || end > start) {
+    yield* fs.createReadStream(fileName, {
+      start,
+      // end option is inclusive
+      end: end === undefined ? undefined : end - 1,
+    });
+  }
+}
+
+/** Creates a stream of a range of bytes from a named file.
+ *
+ * Regular files are read from <code>start</code> to <code>end</code>,
+ * without reading other content.  Other files are read from the start and
+ * content outside of the range is discarded.
+ *
+ * @param {string} fileName Name of the file to read.
+ * @param {Range} range Range of bytes to read.
+ * @returns {!module:stream.Readable} Stream of the bytes in
+ * <code>range</code>.
+ */
+function createRangeStream(fileName, range) {
+  return stream.Readable.from(
+    readRange(fileName, range),
+    { objectMode: false },
+  );
+}
+
+exports.createRangeStream = createRangeStream;
+exports.parseRange = parseRange;
+exports.sliceBytes = sliceBytes;
+exports.sliceLines = sliceLines;
+exports.splitRange = splitRange;
@@ -0,0 +1,97 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/report.js
+ */
+
+'use strict';
+
+/** Functions which report errors and notices.
+ *
+ * @typedef {{
+ *   error: function(!Error, string=, boolean=),
+ *   notice: function(string, string)
+ * }} Reporter
+ * @property {function(!Error, string=, boolean=)} error Reports an error
+ * which occurred for a named file (or output, if the name is
+ * <code>undefined</code>), and whether it occurred writing output.
+ * @property {function(string, string)} notice Reports a message about a
+ * named file which is not an error (e.g. a retry).
+ */
+// var Reporter;
+
+/** Converts a property of an Error to a JSON value.
+ *
+ * @private
+ * @param {*} value Property value.
+ * @returns {?string|number} <code>value</code>, if it is a string or number,
+ * otherwise <code>null</code>.
+ */
+function toJsonValue(value) {
+  return typeof value === 'string' || typeof value === 'number' ? value
+    // eslint-disable-next-line unicorn/no-null
+    : null;
+}
+
+/** Creates functions which report errors and notices to a stream.
+ *
+ * With format <code>text</code>, each is written as a line of the form
+ * <code>nodecat: file: message</code>.  With format <code>json</code>, each
+ * is written as a line of JSON (i.e. newline-delimited JSON) with properties:
+ * <dl>
+ * <dt>type</dt><dd><code>error</code> or <code>notice</code>.</dd>
+ * <dt>file</dt><dd>Name of the file, or <code>null</code> for output
+ * errors without a file name.</dd>
+ * <dt>output</dt><dd>(errors only) Did the error occur writing output?</dd>
+ * <dt>code</dt><dd>(errors only) <code>code</code> of the error (e.g.
+ * <code>ENOENT</code>), or <code>null</code>.</dd>
+ * <dt>errno</dt><dd>(errors only) <code>errno</code> of the error, or
+ * <code>null</code>.</dd>
+ * <dt>syscall</dt><dd>(errors only) <code>syscall</code> of the error (e.g.
+ * <code>open</code>), or <code>null</code>.</dd>
+ * <dt>message</dt><dd>Message of the error or notice.</dd>
+ * </dl>
+ *
+ * @param {!module:stream.Writable} errStream Stream to which errors and
+ * notices are written.
+ * @param {string=} format Format of errors and notices: <code>text</code>
+ * or <code>json</code>.  (default: <code>text</code>)
+ * @returns {Reporter} Functions which report errors and notices.
+ */
+function createReporter(errStream, format) {
+  if (format === 'json') {
+    return {
+      error(err, fileName, isOutput) {
+        errStream.write(`${JSON.stringify({
+          type: 'error',
+          // eslint-disable-next-line unicorn/no-null
+          file: fileName ?? null,
+          output: Boolean(isOutput),
+          code: toJsonValue(err.code),
+          errno: toJsonValue(err.errno),
+          syscall: toJsonValue(err.syscall),
+          message: err.message,
+        })}\n`);
+      },
+      notice(message, fileName) {
+        errStream.write(`${JSON.stringify({
+          type: 'notice',
+          file: fileName,
+          message,
+        })}\n`);
+      },
+    };
+  }
+
+  return {
+    error(err, fileName) {
+      errStream.write(fileName === undefined ? `nodecat: ${err}\n`
+        : `nodecat: ${fileName}: ${err.message}\n`);
+    },
+    notice(message, fileName) {
+      errStream.write(`nodecat: ${fileName}: ${message}\n`);
+    },
+  };
+}
+
+module.exports = createReporter;
@@ -0,0 +1,133 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/retry-stream.js
+ */
+
+'use strict';
+
+const stream = require('node:stream');
+
+/** Error codes which are retried by default.  These may be caused by
+ * transient conditions, such as a busy device or an unreliable network file
+ * system, which may not recur if the file is opened again.
+ */
+const DEFAULT_RETRY_CODES = ['EAGAIN', 'EBUSY', 'EIO', 'ESTALE'];
+
+/** Options for {@link createRetryStream}.
+ *
+ * @typedef {{
+ *   codes: (Array<string>|undefined),
+ *   retries: number,
+ *   retryDelay: number
+ * }} RetryOptions
+ * @property {Array<string>=} codes <code>code</code> of errors which are
+ * retried.  (default: <code>EAGAIN</code>, <code>EBUSY</code>,
+ * <code>EIO</code>, and <code>ESTALE</code>)
+ * @property {number} retries Maximum number of consecutive retries (without
+ * reading any data in between).
+ * @property {number} retryDelay Time to wait before the first retry, in
+ * milliseconds.  Doubled for each consecutive retry.
+ */
+// var RetryOptions;
+
+/** Creates a stream which reads from streams created by a function,
+ * creating a new stream to continue reading after transient errors.
+ *
+ * @param {function(number): !module:stream.Readable} openStream Function
+ * which creates a stream of content starting from a given byte offset.
+ * Called when the returned stream is first read, then after each error
+ * which is retried, with the number of bytes read so far.
+ * @param {RetryOptions} options Options.
+ * @param {?function(!Error, number)=} onRetry Function called with the
+ * error and the number of the retry (starting from 1) before each retry.
+ * @returns {!module:stream.Readable} Stream of content from the streams
+ * created by <code>openStream</code>.  Errors which are not retried are
+ * emitted.
+ */
+function createRetryStream(openStream, options, onRetry) {
+  const { codes = DEFAULT_RETRY_CODES, retries, retryDelay } = options;
+
+  // Number of bytes read from all streams
+  let offset = 0;
+
+  // Number of consecutive retries
+  let retryCount = 0;
+
+  // Stream currently being read, if any
+  let inStream;
+
+  // Timer for the next retry, if any
+  let retryTimer;
+
+  function onEnd() {
+    // eslint-disable-next-line no-use-before-define, unicorn/no-null
+    readable.push(null);
+  }
+
+  function open() {
+    const openedStream = openStream(offset);
+    inStream = openedStream;
+
+    function onData(chunk) {
+      offset += chunk.length;
+      retryCount = 0;
+      // eslint-disable-next-line no-use-before-define
+      if (!readable.push(chunk)) {
+        openedStream.pause();
+      }
+    }
+
+    function onError(err) {
+      openedStream.removeListener('data', onData);
+      openedStream.removeListener('end', onEnd);
+      openedStream.destroy();
+      inStream = undefined;
+
+      if (retryCount >= retries || !codes.includes(err.code)) {
+        // eslint-disable-next-line no-use-before-define
+        readable.destroy(err);
+        return;
+      }
+
+      retryCount += 1;
+      retryTimer = setTimeout(() => {
+        retryTimer = undefined;
+        open();
+      }, retryDelay * (2 ** (retryCount - 1)));
+      // Note:  Called after setting retryTimer, in case it destroys readable
+      if (onRetry) {
+        onRetry(err, retryCount);
+      }
+    }
+
+    openedStream.on('data', onData);
+    openedStream.once('end', onEnd);
+    openedStream.once('error', onError);
+  }
+
+  const readable = new stream.Readable({
+    read() {
+      if (inStream) {
+        inStream.resume();
+      } else if (retryTimer === undefined) {
+        open();
+      }
+    },
+
+    destroy(err, callback) {
+      clearTimeout(retryTimer);
+      retryTimer = undefined;
+      if (inStream) {
+        inStream.destroy();
+        inStream = undefined;
+      }
+      callback(err);
+    },
+  });
+
+  return readable;
+}
+
+module.exports = createRetryStream;
+module.exports.DEFAULT_RETRY_CODES = DEFAULT_RETRY_CODES;
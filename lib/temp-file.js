@@ -0,0 +1,154 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/temp-file.js
+ */
+
+'use strict';
+
+const { randomBytes } = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { promisify } = require('node:util');
+
+// Note:  fs.promises uses FileHandle, which fs.WriteStream exposes as fd,
+// preventing direct copies to the file descriptor.
+const close = promisify(fs.close);
+const fchmod = promisify(fs.fchmod);
+const fsync = promisify(fs.fsync);
+const open = promisify(fs.open);
+
+/** Changes the owner and group of a file by descriptor.
+ *
+ * Unlike the other functions, not bound when loaded, so tests can replace
+ * <code>fs.fchown</code> (which usually requires privileges to change).
+ *
+ * @private
+ * @param {number} fd File descriptor.
+ * @param {number} uid User ID of the owner.
+ * @param {number} gid Group ID of the group.
+ * @returns {!Promise} Promise which resolves once changed.
+ */
+function fchown(fd, uid, gid) {
+  return promisify(fs.fchown)(fd, uid, gid);
+}
+
+/** Options for {@link openTempFile}.
+ *
+ * @typedef {{
+ *   preserveMode: (boolean|undefined),
+ *   preserveOwnership: (boolean|undefined)
+ * }} TempFileOptions
+ * @property {boolean=} preserveMode Set the mode (permissions) of the
+ * temporary file to the mode of the target file, if it exists.
+ * @property {boolean=} preserveOwnership Set the owner and group of the
+ * temporary file to those of the target file, if it exists.
+ */
+// var TempFileOptions;
+
+/** Temporary file opened by {@link openTempFile}.
+ *
+ * @typedef {{
+ *   fd: number,
+ *   tempName: string
+ * }} TempFile
+ * @property {number} fd File descriptor of the temporary file, open for
+ * writing.
+ * @property {string} tempName Name of the temporary file.
+ */
+// var TempFile;
+
+/** Removes a file, ignoring errors.
+ *
+ * @private
+ * @param {string} fileName Name of the file to remove.
+ * @returns {!Promise} Promise which resolves once the file is removed or an
+ * error occurs.
+ */
+function removeFile(fileName) {
+  return fs.promises.unlink(fileName).catch(() => {});
+}
+
+/** Opens a new temporary file in the same directory as a target file, so it
+ * can replace the target file atomically, by rename, using
+ * {@link finishTempFile}.
+ *
+ * @param {string} fileName Name of the target file.
+ * @param {TempFileOptions=} options Options.
+ * @returns {!Promise<TempFile>} Promise for the opened temporary file.
+ */
+async function openTempFile(fileName, options) {
+  const preserveMode = Boolean(options && options.preserveMode);
+  const preserveOwnership = Boolean(options && options.preserveOwnership);
+
+  let targetStats;
+  if (preserveMode || preserveOwnership) {
+    try {
+      targetStats = await fs.promises.stat(fileName);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+
+  const { base, dir } = path.parse(fileName);
+  const random = randomBytes(6).toString('hex');
+  const tempName = path.join(dir, `.${base}.${random}.tmp`);
+  const fd = await open(tempName, 'wx');
+  try {
+    if (targetStats && preserveOwnership) {
+      // Change owner first, since it may clear setuid and setgid bits
+      await fchown(fd, targetStats.uid, targetStats.gid);
+    }
+    if (targetStats && preserveMode) {
+      // Note:  Set after open, since the mode of open is masked by umask
+      // eslint-disable-next-line no-bitwise
+      await fchmod(fd, targetStats.mode & 0o7777);
+    }
+  } catch (err) {
+    await close(fd).catch(() => {});
+    await removeFile(tempName);
+    throw err;
+  }
+
+  return { fd, tempName };
+}
+
+/** Closes a temporary file opened by {@link openTempFile}, then either
+ * replaces the target file with it (after writing it to storage) or removes
+ * it.
+ *
+ * @param {TempFile} tempFile Temporary file to finish.
+ * @param {string} fileName Name of the target file.
+ * @param {boolean} isCommit Replace the target file with the temporary file
+ * (<code>true</code>) or remove the temporary file (<code>false</code>).
+ * @returns {!Promise} Promise which resolves once the temporary file has
+ * been renamed or removed.  If an error occurs, the temporary file is
+ * removed.
+ */
+async function finishTempFile(tempFile, fileName, isCommit) {
+  const { fd, tempName } = tempFile;
+  try {
+    try {
+      if (isCommit) {
+        await fsync(fd);
+      }
+    } finally {
+      await close(fd);
+    }
+
+    if (isCommit) {
+      await fs.promises.rename(tempName, fileName);
+      return;
+    }
+  } catch (err) {
+    await removeFile(tempName);
+    throw err;
+  }
+
+  await removeFile(tempName);
+}
+
+exports.finishTempFile = finishTempFile;
+exports.openTempFile = openTempFile;
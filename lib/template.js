@@ -0,0 +1,56 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/template.js
+ */
+
+'use strict';
+
+// Matches escaped braces and placeholders in a template
+const PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([^{}]*)\}/g;
+
+// Names of placeholders in header and footer templates
+const TEMPLATE_FIELDS = ['index', 'mtime', 'name', 'size'];
+
+/** Compiles a template with <code>{field}</code> placeholders into a
+ * function which formats it.  <code>{{</code> and <code>}}</code> produce
+ * <code>{</code> and <code>}</code>.
+ *
+ * @param {string} template Template to compile.
+ * @param {!Array<string>} fieldNames Names of fields which may be used as
+ * placeholders.
+ * @returns {function(!object): string} Function which formats the template
+ * with field values from a given object.
+ * @throws {Error} If the template has a placeholder which is not in
+ * <code>fieldNames</code>.
+ */
+function compileTemplate(template, fieldNames) {
+  // Alternating literal text (even indexes) and field names (odd indexes)
+  const parts = [];
+  let text = '';
+  let textStart = 0;
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const [placeholder, fieldName] = match;
+    text += template.slice(textStart, match.index);
+    textStart = match.index + placeholder.length;
+    if (fieldName === undefined) {
+      // Escaped brace
+      text += placeholder[0];
+    } else if (fieldNames.includes(fieldName)) {
+      parts.push(text, fieldName);
+      text = '';
+    } else {
+      throw new Error(`unknown placeholder ${placeholder}`);
+    }
+  }
+  parts.push(text + template.slice(textStart));
+
+  return function format(values) {
+    return parts
+      .map((part, i) => (i % 2 === 0 ? part : String(values[part])))
+      .join('');
+  };
+}
+
+module.exports = compileTemplate;
+module.exports.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
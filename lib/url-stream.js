@@ -0,0 +1,121 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/url-stream.js
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const stream = require('node:stream');
+
+// Schemes of operands which are read as URLs.
+// Note:  Matched case-insensitively, as URL schemes are.
+const URL_PATTERN = /^(?:data|file|https?):/i;
+
+/** Options for {@link createUrlStream}.
+ *
+ * @typedef {{
+ *   urlTimeout: (number|undefined)
+ * }} UrlStreamOptions
+ * @property {number=} urlTimeout Maximum time to wait for a response, in
+ * milliseconds.  (default: no limit)
+ */
+// var UrlStreamOptions;
+
+/** Parses a file name as a URL, if it is a URL with a supported scheme
+ * (<code>data:</code>, <code>file:</code>, <code>http:</code>, or
+ * <code>https:</code>).
+ *
+ * A path which starts with <code>./</code> is never a URL, so a file named
+ * <code>http:x</code> can be named <code>./http:x</code>.
+ *
+ * @param {string} fileName File name to parse.
+ * @returns {URL|undefined} URL, if <code>fileName</code> is a supported
+ * URL.
+ */
+function parseUrl(fileName) {
+  if (!URL_PATTERN.test(fileName)) {
+    return undefined;
+  }
+
+  try {
+    return new URL(fileName);
+  } catch {
+    // Not a valid URL (e.g. "http:"), so treat as a path.
+    return undefined;
+  }
+}
+
+/** Creates an Error for an HTTP response with a non-2xx status.
+ *
+ * @private
+ * @param {!object} response Response from fetch.
+ * @returns {!Error} Error describing the response status.
+ */
+function createStatusError(response) {
+  const err = new Error(`HTTP ${response.status} ${response.statusText}`);
+  err.statusCode = response.status;
+  err.url = response.url;
+  return err;
+}
+
+/** Creates a stream of the content of a URL.
+ *
+ * <code>file:</code> URLs are read by <code>fs.createReadStream</code>.
+ * Others are read by <code>fetch</code>, which follows redirects.  Non-2xx
+ * responses, network failures, and timeouts are emitted as errors.
+ *
+ * @param {!URL} url URL to read.
+ * @param {UrlStreamOptions=} options Options.
+ * @returns {!module:stream.Readable} Stream of the content of
+ * <code>url</code>.
+ */
+function createUrlStream(url, options) {
+  if (url.protocol === 'file:') {
+    return fs.createReadStream(url);
+  }
+
+  const timeout = options && options.urlTimeout;
+  const abortController = new AbortController();
+
+  async function* readUrl() {
+    let timeoutId;
+    if (timeout !== undefined) {
+      timeoutId = setTimeout(() => {
+        const err = new Error(`No response after ${timeout} ms`);
+        err.code = 'ETIMEDOUT';
+        abortController.abort(err);
+      }, timeout);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { signal: abortController.signal });
+    } catch (err) {
+      // Report the cause of "fetch failed" (e.g. ECONNREFUSED), if known
+      throw err.cause instanceof Error ? err.cause : err;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      if (response.body) {
+        await response.body.cancel();
+      }
+      throw createStatusError(response);
+    }
+
+    if (response.body) {
+      yield* response.body;
+    }
+  }
+
+  const readable = stream.Readable.from(readUrl(), { objectMode: false });
+  // Abort any pending request when the stream is destroyed
+  readable.once('close', () => abortController.abort());
+  return readable;
+}
+
+exports.createUrlStream = createUrlStream;
+exports.parseUrl = parseUrl;
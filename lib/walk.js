@@ -0,0 +1,188 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module nodecat/lib/walk.js
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { createNameMatcher } = require('./glob.js');
+
+/** Options for {@link walkDir}.
+ *
+ * @typedef {{
+ *   exclude: (Array<string>|undefined),
+ *   followSymlinks: (boolean|undefined),
+ *   hidden: (boolean|undefined),
+ *   include: (Array<string>|undefined),
+ *   sort: (string|undefined)
+ * }} WalkOptions
+ * @property {Array<string>=} exclude Glob patterns for names of files and
+ * directories to skip.
+ * @property {boolean=} followSymlinks Follow symbolic links to files and
+ * directories.  If not set, symbolic links are skipped.
+ * @property {boolean=} hidden Include files and directories with names
+ * starting with <code>.</code>.
+ * @property {Array<string>=} include Glob patterns for names of files to
+ * include.  If not set, all files are included.
+ * @property {string=} sort Order of files: <code>name</code> (by UTF-16 code
+ * unit), <code>natural</code> (with runs of digits compared numerically), or
+ * <code>mtime</code> (by modification time, oldest first, then by name).
+ * Files in a directory come before or after its subdirectory content based on
+ * name, except for <code>mtime</code>, where all files under the directory
+ * are sorted together, after any errors. (default: <code>name</code>)
+ */
+// var WalkOptions;
+
+/** File found by {@link walkDir}, or error which occurred.
+ *
+ * @typedef {{
+ *   fileName: string,
+ *   error: (!Error|undefined)
+ * }} WalkEntry
+ * @property {string} fileName Path of the file (or directory where the error
+ * occurred).
+ * @property {!Error=} error Error which occurred reading or checking the
+ * file or directory, if any.
+ */
+// var WalkEntry;
+
+/** Gets the modification time of a file found by walkDir, for sorting.
+ *
+ * @private
+ * @param {!object} result File (with stats) or error found by walkDir.
+ * @returns {number} Modification time of the file, in milliseconds, or
+ * <code>-Infinity</code> for errors.
+ */
+function getMtime(result) {
+  return result.stats ? result.stats.mtimeMs : -Infinity;
+}
+
+function compareNames(name1, name2) {
+  return name1 < name2 ? -1 : name1 > name2 ? 1 : 0;
+}
+
+/** Compares names with runs of digits compared by numeric value.
+ *
+ * @private
+ * @param {string} name1 Name to compare.
+ * @param {string} name2 Name to compare.
+ * @returns {number} Negative if name1 sorts first, positive if name2 sorts
+ * first, zero if the names are equal.
+ */
+function compareNatural(name1, name2) {
+  const parts1 = name1.split(/(\d+)/);
+  const parts2 = name2.split(/(\d+)/);
+  const length = Math.min(parts1.length, parts2.length);
+  // Parts alternate between non-digits (even indexes) and digits (odd)
+  for (let i = 0; i < length; i += 1) {
+    let part1 = parts1[i];
+    let part2 = parts2[i];
+    if (i % 2 === 1) {
+      part1 = part1.replace(/^0+/, '');
+      part2 = part2.replace(/^0+/, '');
+      if (part1.length !== part2.length) {
+        return part1.length - part2.length;
+      }
+    }
+
+    const cmp = compareNames(part1, part2);
+    if (cmp !== 0) {
+      return cmp;
+    }
+  }
+
+  return parts1.length - parts2.length || compareNames(name1, name2);
+}
+
+/** Lists the regular files in a directory and its subdirectories.
+ *
+ * @param {string} dirName Path of the directory.
+ * @param {WalkOptions=} options Options.
+ * @returns {!Promise<!Array<WalkEntry>>} Promise for the files found and
+ * errors which occurred, in order.  Errors do not stop the walk.
+ */
+async function walkDir(dirName, options) {
+  const excludeMatchers = ((options && options.exclude) || [])
+    .map(createNameMatcher);
+  const includeMatchers = options && options.include
+    ? options.include.map(createNameMatcher)
+    : undefined;
+  const followSymlinks = Boolean(options && options.followSymlinks);
+  const hidden = Boolean(options && options.hidden);
+  const sort = (options && options.sort) || 'name';
+  const compare = sort === 'natural' ? compareNatural : compareNames;
+
+  // Keys (device and inode) of directories being walked, to detect cycles
+  const ancestors = new Set();
+
+  // Adds entries for files in a directory to found, with their stats
+  async function walk(dir, dirStats, found) {
+    const dirKey = `${dirStats.dev}:${dirStats.ino}`;
+    if (ancestors.has(dirKey)) {
+      // Symbolic link to an ancestor.  Skip to avoid infinite recursion.
+      return;
+    }
+
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      found.push({ fileName: dir, error: err });
+      return;
+    }
+
+    const names = dirents
+      .filter((dirent) => (hidden || !dirent.name.startsWith('.'))
+        && (dirent.isFile()
+          || dirent.isDirectory()
+          || (followSymlinks && dirent.isSymbolicLink()))
+        && !excludeMatchers.some((matches) => matches(dirent.name)))
+      .map((dirent) => dirent.name)
+      .sort(compare);
+
+    // Stat in parallel, then walk subdirectories in order
+    const statsList = await Promise.all(names.map(
+      (name) => fs.promises.stat(path.join(dir, name)).catch((err) => err),
+    ));
+
+    ancestors.add(dirKey);
+    for (const [i, name] of names.entries()) {
+      const fileName = path.join(dir, name);
+      const stats = statsList[i];
+      if (stats instanceof Error) {
+        found.push({ fileName, error: stats });
+      } else if (stats.isDirectory()) {
+        // Subdirectories are walked sequentially, to preserve order
+        // eslint-disable-next-line no-await-in-loop
+        await walk(fileName, stats, found);
+      } else if (stats.isFile()
+        && (!includeMatchers
+          || includeMatchers.some((matches) => matches(name)))) {
+        found.push({ fileName, error: undefined, stats });
+      }
+    }
+    ancestors.delete(dirKey);
+  }
+
+  const results = [];
+  try {
+    await walk(dirName, await fs.promises.stat(dirName), results);
+  } catch (err) {
+    results.push({ fileName: dirName, error: err });
+  }
+
+  if (sort === 'mtime') {
+    // Errors first, then files.  Stable sort preserves name order for equal
+    // mtime (and errors).
+    results.sort((result1, result2) => getMtime(result1) - getMtime(result2)
+      || 0);
+  }
+
+  return results.map(({ fileName, error }) => ({ fileName, error }));
+}
+
+module.exports = walkDir;
@@ -6,8 +6,9 @@
 'use strict';
 
 const assert = require('node:assert');
-const { execFile } = require('node:child_process');
+const { execFile, spawn } = require('node:child_process');
 const fs = require('node:fs');
+const os = require('node:os');
 const path = require('node:path');
 
 const binPath = path.join(__dirname, '..', 'bin', 'nodecat.js');
@@ -100,4 +101,32 @@ describe('nodecat', () => {
     );
     proc.stdin.end(testContent);
   });
+
+  it('concatenates files to stdout redirected to a file', (done) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    const outPath = path.join(tmpDir, 'out.txt');
+    const outFd = fs.openSync(outPath, 'w');
+    const proc = spawn(
+      process.execPath,
+      [binPath, testFiles[0], testFiles[1], testFiles[0]],
+      { stdio: ['ignore', outFd, 'inherit'] },
+    );
+    fs.closeSync(outFd);
+    proc.once('close', (code) => {
+      try {
+        assert.strictEqual(code, 0);
+        assert.deepStrictEqual(
+          fs.readFileSync(outPath),
+          Buffer.concat([
+            testFileContent[testFiles[0]],
+            testFileContent[testFiles[1]],
+            testFileContent[testFiles[0]],
+          ]),
+        );
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true });
+      }
+      done();
+    });
+  });
 });
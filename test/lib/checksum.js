@@ -0,0 +1,62 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  formatChecksumLine,
+  parseChecksums,
+} = require('../../lib/checksum.js');
+
+const digest = '0123456789abcdef'.repeat(4);
+
+describe('formatChecksumLine', () => {
+  it('formats line as sha256sum', () => {
+    assert.strictEqual(
+      formatChecksumLine(digest, 'file.txt'),
+      `${digest}  file.txt\n`,
+    );
+  });
+
+  it('escapes backslash and newline in name', () => {
+    assert.strictEqual(
+      formatChecksumLine(digest, 'a\\b\nc'),
+      `\\${digest}  a\\\\b\\nc\n`,
+    );
+  });
+});
+
+describe('parseChecksums', () => {
+  it('parses text and binary mode lines', () => {
+    assert.deepEqual(
+      parseChecksums(`${digest.toUpperCase()}  a.txt\n\n${digest} *b c\n`),
+      new Map([['a.txt', digest], ['b c', digest]]),
+    );
+  });
+
+  it('parses escaped names', () => {
+    const name = 'a\\b\nc\\\\n';
+    assert.deepEqual(
+      parseChecksums(formatChecksumLine(digest, name)),
+      new Map([[name, digest]]),
+    );
+  });
+
+  it('throws for invalid line', () => {
+    assert.throws(
+      () => parseChecksums(`${digest}  a\nnot a checksum\n`),
+      /\bline 2\b/,
+    );
+  });
+
+  it('throws for invalid escape', () => {
+    assert.throws(
+      () => parseChecksums(`\\${digest}  a\\tb\n`),
+      /\bline 1\b/,
+    );
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { promisify } = require('node:util');
+const zlib = require('node:zlib');
+
+const { assert } = require('chai');
+
+const createCompressStream = require('../../lib/compress.js');
+
+const { MAX_COMPRESS_LEVELS } = createCompressStream;
+
+const decompressors = {
+  brotli: promisify(zlib.brotliDecompress),
+  deflate: promisify(zlib.inflate),
+  gzip: promisify(zlib.gunzip),
+};
+
+/** Compresses data with a stream from createCompressStream.
+ *
+ * @private
+ */
+async function compress(data, format, level) {
+  const chunks = [];
+  const compressStream = createCompressStream(format, level);
+  compressStream.end(data);
+  for await (const chunk of compressStream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('createCompressStream', () => {
+  const data = Buffer.from('test data\n'.repeat(100));
+
+  for (const [format, maxLevel] of MAX_COMPRESS_LEVELS) {
+    it(`compresses ${format} at levels up to ${maxLevel}`, async () => {
+      for (const level of [undefined, 0, maxLevel]) {
+        assert.deepEqual(
+          // eslint-disable-next-line no-await-in-loop
+          await decompressors[format](await compress(data, format, level)),
+          data,
+        );
+      }
+    });
+  }
+
+  it('throws RangeError for unsupported format', () => {
+    assert.throws(
+      () => createCompressStream('zip'),
+      RangeError,
+      /\bzip\b/,
+    );
+  });
+});
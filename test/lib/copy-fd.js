@@ -0,0 +1,126 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const copyFd = require('../../lib/copy-fd.js');
+
+function noop() {}
+
+describe('copyFd', () => {
+  const content = Buffer.from('Hello, world!\n'.repeat(10));
+  let tmpDir, inFd, outFd;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    const inPath = path.join(tmpDir, 'in.txt');
+    fs.writeFileSync(inPath, content);
+    inFd = fs.openSync(inPath, 'r');
+    outFd = fs.openSync(path.join(tmpDir, 'out.txt'), 'w+');
+  });
+  afterEach(() => {
+    sinon.restore();
+    fs.closeSync(inFd);
+    fs.closeSync(outFd);
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  function readOut() {
+    return fs.readFileSync(path.join(tmpDir, 'out.txt'));
+  }
+
+  it('copies all data using a smaller buffer', (done) => {
+    const onWrite = sinon.spy();
+    copyFd(inFd, outFd, Buffer.alloc(16), noop, onWrite, (err) => {
+      assert.ifError(err);
+      assert.deepEqual(readOut(), content);
+      assert.strictEqual(onWrite.callCount, Math.ceil(content.length / 16));
+      assert.strictEqual(
+        onWrite.args.reduce((sum, [byteCount]) => sum + byteCount, 0),
+        content.length,
+      );
+      done();
+    });
+  });
+
+  it('continues partial writes', (done) => {
+    const { write } = fs;
+    sinon.replace(fs, 'write', (fd, buffer, offset, length, pos, cb) => {
+      write(fd, buffer, offset, Math.min(length, 3), pos, cb);
+    });
+    const written = [];
+    const onWrite = (byteCount, data) => {
+      assert.strictEqual(data.length, byteCount);
+      written.push(Buffer.from(data));
+    };
+    copyFd(inFd, outFd, Buffer.alloc(16), noop, onWrite, (err) => {
+      assert.ifError(err);
+      assert.deepEqual(readOut(), content);
+      assert.deepEqual(Buffer.concat(written), content);
+      done();
+    });
+  });
+
+  it('calls onRead with bytes read before each write', (done) => {
+    const events = [];
+    const onRead = (byteCount) => events.push(['read', byteCount]);
+    const onWrite = (byteCount) => events.push(['write', byteCount]);
+    copyFd(inFd, outFd, Buffer.alloc(100), onRead, onWrite, (err) => {
+      assert.ifError(err);
+      assert.deepEqual(events, [
+        ['read', 100],
+        ['write', 100],
+        ['read', content.length - 100],
+        ['write', content.length - 100],
+      ]);
+      done();
+    });
+  });
+
+  it('calls back with read errors', (done) => {
+    const errTest = new Error('test read error');
+    sinon.replace(fs, 'read', sinon.fake.yields(errTest));
+    copyFd(inFd, outFd, Buffer.alloc(16), noop, noop, (err, isWriteError) => {
+      assert.strictEqual(err, errTest);
+      assert.isFalse(isWriteError);
+      done();
+    });
+  });
+
+  it('calls back with write errors', (done) => {
+    const errTest = new Error('test write error');
+    sinon.replace(fs, 'write', sinon.fake.yields(errTest));
+    copyFd(inFd, outFd, Buffer.alloc(16), noop, noop, (err, isWriteError) => {
+      assert.strictEqual(err, errTest);
+      assert.isTrue(isWriteError);
+      done();
+    });
+  });
+
+  it('stops before next write when stopped', (done) => {
+    const stop = copyFd(inFd, outFd, Buffer.alloc(16), noop, noop, (err) => {
+      assert.ifError(err);
+      assert.strictEqual(readOut().length, 0);
+      done();
+    });
+    stop();
+  });
+
+  it('stops before next read when stopped', (done) => {
+    let stop;
+    const onWrite = () => stop();
+    stop = copyFd(inFd, outFd, Buffer.alloc(16), noop, onWrite, (err) => {
+      assert.ifError(err);
+      assert.deepEqual(readOut(), content.subarray(0, 16));
+      done();
+    });
+  });
+});
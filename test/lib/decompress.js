@@ -0,0 +1,97 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const zlib = require('node:zlib');
+
+const { assert } = require('chai');
+
+const decompress = require('../../lib/decompress.js');
+
+/**
+ * Decompresses chunks as content of a named file.
+ *
+ * @private
+ */
+async function decompressAll(chunks, fileName = 'file') {
+  async function* source() {
+    yield* chunks;
+  }
+  const outChunks = [];
+  for await (const chunk of decompress(source(), fileName)) {
+    outChunks.push(chunk);
+  }
+  return Buffer.concat(outChunks);
+}
+
+describe('decompress', () => {
+  const content = Buffer.from('Hello, world!\n'.repeat(10));
+
+  it('decompresses gzip', async () => {
+    assert.deepEqual(await decompressAll([zlib.gzipSync(content)]), content);
+  });
+
+  it('decompresses gzip with magic split across chunks', async () => {
+    const compressed = zlib.gzipSync(content);
+    assert.deepEqual(
+      await decompressAll([compressed.subarray(0, 1), compressed.subarray(1)]),
+      content,
+    );
+  });
+
+  it('decompresses multi-member gzip', async () => {
+    assert.deepEqual(
+      await decompressAll([
+        zlib.gzipSync('one\n'),
+        zlib.gzipSync('two\n'),
+      ]),
+      Buffer.from('one\ntwo\n'),
+    );
+  });
+
+  it('decompresses zlib', async () => {
+    for (const level of [1, 6, 9]) {
+      assert.deepEqual(
+        // eslint-disable-next-line no-await-in-loop
+        await decompressAll([zlib.deflateSync(content, { level })]),
+        content,
+      );
+    }
+  });
+
+  it('decompresses brotli with .br extension', async () => {
+    assert.deepEqual(
+      await decompressAll([zlib.brotliCompressSync(content)], 'file.br'),
+      content,
+    );
+  });
+
+  it('passes through uncompressed content', async () => {
+    for (const chunks of [
+      [],
+      [Buffer.from('a')],
+      [content],
+      [Buffer.from('x'), Buffer.from('C is for compressed?\n')],
+      [Buffer.from('x^2 + y^2\n')],
+    ]) {
+      assert.deepEqual(
+        // eslint-disable-next-line no-await-in-loop
+        await decompressAll(chunks, 'file.gz'),
+        Buffer.concat(chunks),
+      );
+    }
+  });
+
+  it('throws for corrupt gzip', async () => {
+    const compressed = zlib.gzipSync(content);
+    try {
+      await decompressAll([compressed.subarray(0, -4)]);
+      assert.fail('should throw');
+    } catch (err) {
+      assert.strictEqual(err.code, 'Z_BUF_ERROR');
+    }
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { setTimeout: delay } = require('node:timers/promises');
+
+const { assert } = require('chai');
+
+const followFiles = require('../../lib/follow.js');
+
+const interval = 10;
+
+/** Waits until a condition is true, checking every interval.
+ *
+ * @private
+ */
+async function waitFor(condition) {
+  for (let i = 0; !condition(); i += 1) {
+    if (i >= 200) {
+      throw new Error('Timed out waiting for condition');
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await delay(interval);
+  }
+}
+
+describe('followFiles', () => {
+  let tmpDir;
+  let filePath;
+  let stop;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    filePath = path.join(tmpDir, 'log');
+  });
+  afterEach(async () => {
+    if (stop) {
+      await new Promise((resolve) => {
+        stop(resolve);
+      });
+      stop = undefined;
+    }
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  function follow(files, mode) {
+    const events = [];
+    stop = followFiles(
+      files,
+      { interval, mode },
+      async (data, index) => { events.push(['data', String(data), index]); },
+      (message, index) => { events.push(['notice', message, index]); },
+      (err, index) => { events.push(['error', err.code, index]); },
+    );
+    return events;
+  }
+
+  it('passes data appended after position', async () => {
+    fs.writeFileSync(filePath, 'old\n');
+    const events = follow([{ fileName: filePath, position: 2 }], 'descriptor');
+    await waitFor(() => events.length === 1);
+    fs.appendFileSync(filePath, 'new\n');
+    await waitFor(() => events.length === 2);
+    assert.deepEqual(events, [
+      ['data', 'd\n', 0],
+      ['data', 'new\n', 0],
+    ]);
+  });
+
+  it('reads truncated file from start', async () => {
+    fs.writeFileSync(filePath, 'old\n');
+    const events = follow([{ fileName: filePath, position: 4 }], 'descriptor');
+    await delay(interval * 2);
+    fs.writeFileSync(filePath, 'a\n');
+    await waitFor(() => events.length === 2);
+    assert.deepEqual(events, [
+      ['notice', 'file truncated', 0],
+      ['data', 'a\n', 0],
+    ]);
+  });
+
+  it('follows replaced file by name', async () => {
+    fs.writeFileSync(filePath, '');
+    const events = follow([{ fileName: filePath, position: 0 }], 'name');
+    await delay(interval * 2);
+    fs.renameSync(filePath, `${filePath}.1`);
+    fs.appendFileSync(`${filePath}.1`, 'old\n');
+    fs.writeFileSync(filePath, 'new\n');
+    await waitFor(() => events.length === 3);
+    assert.deepEqual(events, [
+      ['data', 'old\n', 0],
+      ['notice', 'file replaced, following new file', 0],
+      ['data', 'new\n', 0],
+    ]);
+  });
+
+  it('follows renamed file by descriptor', async () => {
+    fs.writeFileSync(filePath, '');
+    const events = follow([{ fileName: filePath, position: 0 }], 'descriptor');
+    await delay(interval * 2);
+    fs.renameSync(filePath, `${filePath}.1`);
+    fs.writeFileSync(filePath, 'new\n');
+    fs.appendFileSync(`${filePath}.1`, 'old\n');
+    await waitFor(() => events.length === 1);
+    await delay(interval * 2);
+    assert.deepEqual(events, [['data', 'old\n', 0]]);
+  });
+
+  it('waits for missing file by name', async () => {
+    const events = follow([{ fileName: filePath, position: 0 }], 'name');
+    await delay(interval * 3);
+    fs.writeFileSync(filePath, 'new\n');
+    await waitFor(() => events.length === 1);
+    assert.deepEqual(events, [['data', 'new\n', 0]]);
+  });
+
+  it('stops following missing file by descriptor', async () => {
+    const events = follow([{ fileName: filePath, position: 0 }], 'descriptor');
+    await waitFor(() => events.length === 1);
+    fs.writeFileSync(filePath, 'new\n');
+    await delay(interval * 3);
+    assert.deepEqual(events, [['error', 'ENOENT', 0]]);
+  });
+
+  it('follows file replaced after read from start by name', async () => {
+    fs.writeFileSync(filePath, 'old\n');
+    const stats = fs.statSync(filePath);
+    fs.renameSync(filePath, `${filePath}.1`);
+    fs.writeFileSync(filePath, 'new\n');
+    const events = follow([{ fileName: filePath, position: 4, stats }], 'name');
+    await waitFor(() => events.length === 2);
+    assert.deepEqual(events, [
+      ['notice', 'file replaced, following new file', 0],
+      ['data', 'new\n', 0],
+    ]);
+  });
+
+  it('does not follow file replaced after read by descriptor', async () => {
+    fs.writeFileSync(filePath, 'old\n');
+    const stats = fs.statSync(filePath);
+    fs.renameSync(filePath, `${filePath}.1`);
+    fs.writeFileSync(filePath, 'new\n');
+    const events =
+      follow([{ fileName: filePath, position: 4, stats }], 'descriptor');
+    await waitFor(() => events.length === 1);
+    fs.appendFileSync(filePath, 'new2\n');
+    await delay(interval * 3);
+    assert.deepEqual(events, [['notice', 'file replaced, not followed', 0]]);
+  });
+
+  it('passes data from each file with index', async () => {
+    const filePath2 = path.join(tmpDir, 'log2');
+    fs.writeFileSync(filePath, '');
+    fs.writeFileSync(filePath2, '');
+    const events = follow(
+      [
+        { fileName: filePath, position: 0 },
+        { fileName: filePath2, position: 0 },
+      ],
+      'descriptor',
+    );
+    await delay(interval * 2);
+    fs.appendFileSync(filePath2, '2\n');
+    await waitFor(() => events.length === 1);
+    fs.appendFileSync(filePath, '1\n');
+    await waitFor(() => events.length === 2);
+    assert.deepEqual(events, [
+      ['data', '2\n', 1],
+      ['data', '1\n', 0],
+    ]);
+  });
+
+  it('stops following when stopped', async () => {
+    fs.writeFileSync(filePath, '');
+    const events = follow([{ fileName: filePath, position: 0 }], 'descriptor');
+    await delay(interval * 2);
+    await new Promise((resolve) => {
+      stop(resolve);
+    });
+    stop = undefined;
+    fs.appendFileSync(filePath, 'new\n');
+    await delay(interval * 3);
+    assert.deepEqual(events, []);
+  });
+});
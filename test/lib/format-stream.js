@@ -0,0 +1,157 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { assert } = require('chai');
+
+const createFormatStream = require('../../lib/format-stream.js');
+
+/**
+ * Writes chunks to a new format stream and resolves with its output.
+ *
+ * @private
+ */
+function format(chunks, options) {
+  const formatStream = createFormatStream(options);
+  const outChunks = [];
+  formatStream.on('data', (chunk) => outChunks.push(chunk));
+  return new Promise((resolve, reject) => {
+    formatStream.once('error', reject);
+    formatStream.once('end', () => {
+      resolve(String(Buffer.concat(outChunks)));
+    });
+    for (const chunk of chunks) {
+      formatStream.write(chunk);
+    }
+    formatStream.end();
+  });
+}
+
+describe('createFormatStream', () => {
+  it('copies data unchanged without options', async () => {
+    assert.strictEqual(
+      await format(['a\n\n', '\tb']),
+      'a\n\n\tb',
+    );
+  });
+
+  it('numbers all lines with number', async () => {
+    assert.strictEqual(
+      await format(['a\n\n\nb\n'], { number: true }),
+      '     1\ta\n     2\t\n     3\t\n     4\tb\n',
+    );
+  });
+
+  it('numbers non-blank lines with numberNonblank', async () => {
+    assert.strictEqual(
+      await format(['a\n\n\nb\n'], { numberNonblank: true }),
+      '     1\ta\n\n\n     2\tb\n',
+    );
+  });
+
+  it('numberNonblank overrides number', async () => {
+    assert.strictEqual(
+      await format(['a\n\nb\n'], { number: true, numberNonblank: true }),
+      '     1\ta\n\n     2\tb\n',
+    );
+  });
+
+  it('does not number after trailing newline', async () => {
+    assert.strictEqual(
+      await format(['a\n'], { number: true }),
+      '     1\ta\n',
+    );
+  });
+
+  it('numbers line split across chunks once', async () => {
+    assert.strictEqual(
+      await format(['a\nb', 'c', '\n', '\nd'], { number: true }),
+      '     1\ta\n     2\tbc\n     3\t\n     4\td',
+    );
+  });
+
+  it('numbers blank line split across chunks', async () => {
+    assert.strictEqual(
+      await format(['a\n', '\n', 'b'], { numberNonblank: true }),
+      '     1\ta\n\n     2\tb',
+    );
+  });
+
+  it('shows control and high-bit bytes with showNonprinting', async () => {
+    assert.strictEqual(
+      await format(
+        [Buffer.from([0x00, 0x09, 0x0D, 0x1F, 0x20, 0x7E, 0x7F, 0x0A])],
+        { showNonprinting: true },
+      ),
+      '^@\t^M^_ ~^?\n',
+    );
+    assert.strictEqual(
+      await format(
+        [Buffer.from([0x80, 0x89, 0x9F, 0xA0, 0xE9, 0xFE, 0xFF])],
+        { showNonprinting: true },
+      ),
+      'M-^@M-^IM-^_M- M-iM-~M-^?',
+    );
+  });
+
+  it('shows line ends with showEnds', async () => {
+    assert.strictEqual(
+      await format(['a\n\nb\r\n\rc\r'], { showEnds: true }),
+      'a$\n$\nb^M$\n\rc\r',
+    );
+  });
+
+  it('shows carriage return before newline in next chunk', async () => {
+    assert.strictEqual(
+      await format(['a\r', '\n', 'b\r', 'c\r'], { showEnds: true }),
+      'a^M$\nb\rc\r',
+    );
+  });
+
+  it('shows tabs with showTabs', async () => {
+    assert.strictEqual(
+      await format(['\ta\t\tb\t\n'], { showTabs: true }),
+      '^Ia^I^Ib^I\n',
+    );
+  });
+
+  it('combines showNonprinting, showEnds, and showTabs', async () => {
+    assert.strictEqual(
+      await format(['\t\r', '\n\u00FF'], {
+        number: true,
+        showEnds: true,
+        showNonprinting: true,
+        showTabs: true,
+      }),
+      '     1\t^I^M$\n     2\tM-CM-?',
+    );
+  });
+
+  it('squeezes repeated blank lines with squeezeBlank', async () => {
+    assert.strictEqual(
+      await format(['\n\n\na\n\n\n\nb\n\n'], { squeezeBlank: true }),
+      '\na\n\nb\n\n',
+    );
+  });
+
+  it('squeezes blank lines across chunks', async () => {
+    assert.strictEqual(
+      await format(['a\n\n', '\n', '\nb'], { squeezeBlank: true }),
+      'a\n\nb',
+    );
+  });
+
+  it('does not number squeezed blank lines', async () => {
+    assert.strictEqual(
+      await format(['a\n\n\n\nb\n'], {
+        number: true,
+        showEnds: true,
+        squeezeBlank: true,
+      }),
+      '     1\ta$\n     2\t$\n     3\tb$\n',
+    );
+  });
+});
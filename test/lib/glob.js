@@ -0,0 +1,109 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { assert } = require('chai');
+
+const { escapeGlob, expandGlob } = require('../../lib/glob.js');
+
+describe('expandGlob', () => {
+  let tmpDir;
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    for (const fileName of [
+      '.hidden.css',
+      'a.css',
+      'b.css',
+      'c.js',
+      's*r.css',
+      path.join('sub', 'd.css'),
+      path.join('sub', 'deep', 'e.css'),
+    ]) {
+      const filePath = path.join(tmpDir, fileName);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '');
+    }
+  });
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  /**
+   * Expands a pattern relative to tmpDir, with results relative to tmpDir.
+   *
+   * @private
+   */
+  async function expand(pattern) {
+    const matches = await expandGlob(`${escapeGlob(tmpDir)}/${pattern}`);
+    return matches.map((match) => path.relative(tmpDir, match));
+  }
+
+  it('expands * in sorted order', async () => {
+    assert.deepEqual(await expand('*.css'), ['a.css', 'b.css', 's*r.css']);
+  });
+
+  it('expands ?', async () => {
+    assert.deepEqual(await expand('?.js'), ['c.js']);
+  });
+
+  it('expands bracket expressions', async () => {
+    assert.deepEqual(await expand('[ab].css'), ['a.css', 'b.css']);
+    assert.deepEqual(await expand('[a-b].css'), ['a.css', 'b.css']);
+    assert.deepEqual(await expand('[!a]*.css'), ['b.css', 's*r.css']);
+  });
+
+  it('expands ** to any number of directories', async () => {
+    assert.deepEqual(await expand('**/*.css'), [
+      'a.css',
+      'b.css',
+      's*r.css',
+      path.join('sub', 'd.css'),
+      path.join('sub', 'deep', 'e.css'),
+    ]);
+  });
+
+  it('expands brace sets in order', async () => {
+    assert.deepEqual(
+      await expand('{c.js,[ab].css,sub/{deep/,}*.css}'),
+      [
+        'c.js',
+        'a.css',
+        'b.css',
+        path.join('sub', 'deep', 'e.css'),
+        path.join('sub', 'd.css'),
+      ],
+    );
+  });
+
+  it('matches names starting with . only with .', async () => {
+    assert.deepEqual(await expand('.*.css'), ['.hidden.css']);
+  });
+
+  it('resolves with nothing for no match', async () => {
+    assert.deepEqual(await expand('*.html'), []);
+  });
+
+  it('resolves with literal name for no wildcards', async () => {
+    assert.deepEqual(await expand('nonexistent.txt'), ['nonexistent.txt']);
+  });
+
+  it('does not expand escaped characters', async () => {
+    assert.deepEqual(await expand('s[*]r.css'), ['s*r.css']);
+    assert.deepEqual(await expand(escapeGlob('s*r.css')), ['s*r.css']);
+    assert.deepEqual(await expand('[*].css'), ['*.css']);
+  });
+
+  if (process.platform !== 'win32') {
+    it('does not expand backslash-escaped characters', async () => {
+      assert.deepEqual(await expand(String.raw`s\*r.css`), ['s*r.css']);
+      assert.deepEqual(await expand(String.raw`\{a,b\}.css`), ['{a,b}.css']);
+    });
+  }
+});
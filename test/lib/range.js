@@ -0,0 +1,179 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { assert } = require('chai');
+
+const {
+  createRangeStream,
+  parseRange,
+  sliceBytes,
+  sliceLines,
+  splitRange,
+} = require('../../lib/range.js');
+
+async function readAll(iterable) {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(chunk);
+  }
+  return String(Buffer.concat(chunks));
+}
+
+async function* fromChunks(chunks) {
+  for (const chunk of chunks) {
+    yield Buffer.from(chunk);
+  }
+}
+
+describe('parseRange', () => {
+  it('parses start and end', () => {
+    assert.deepEqual(parseRange('10:20'), { start: 10, end: 20 });
+  });
+
+  it('parses start without end', () => {
+    assert.deepEqual(parseRange('10:'), { start: 10, end: undefined });
+  });
+
+  it('parses end without start', () => {
+    assert.deepEqual(parseRange(':20'), { start: 0, end: 20 });
+  });
+
+  it('throws for end before start', () => {
+    assert.throws(() => parseRange('20:10'), /end before start/);
+  });
+
+  for (const text of ['', '10', '1:2:3', '-1:2', 'a:b']) {
+    it(`throws for '${text}'`, () => {
+      assert.throws(() => parseRange(text), /invalid range/);
+    });
+  }
+});
+
+describe('splitRange', () => {
+  it('splits range suffix', () => {
+    assert.deepEqual(
+      splitRange('file.bin@1024:4096'),
+      { fileName: 'file.bin', range: { start: 1024, end: 4096 } },
+    );
+  });
+
+  it('splits only last range suffix', () => {
+    assert.deepEqual(
+      splitRange('a@1:2@:'),
+      { fileName: 'a@1:2', range: { start: 0, end: undefined } },
+    );
+  });
+
+  it('returns name without range suffix unchanged', () => {
+    assert.deepEqual(
+      splitRange('user@host:file'),
+      { fileName: 'user@host:file', range: undefined },
+    );
+  });
+});
+
+describe('sliceBytes', () => {
+  it('selects bytes across chunks', async () => {
+    const selectBytes = sliceBytes({ start: 2, end: 7 });
+    assert.strictEqual(
+      await readAll(selectBytes(fromChunks(['abc', 'def', 'ghi']))),
+      'cdefg',
+    );
+  });
+
+  it('selects bytes to end without end', async () => {
+    const selectBytes = sliceBytes({ start: 4 });
+    assert.strictEqual(
+      await readAll(selectBytes(fromChunks(['abc', 'def']))),
+      'ef',
+    );
+  });
+
+  it('stops reading after end', async () => {
+    const chunks = ['abc', 'def', 'ghi'];
+    let readCount = 0;
+    async function* source() {
+      for (const chunk of chunks) {
+        readCount += 1;
+        yield Buffer.from(chunk);
+      }
+    }
+    const selectBytes = sliceBytes({ start: 0, end: 3 });
+    assert.strictEqual(await readAll(selectBytes(source())), 'abc');
+    assert.strictEqual(readCount, 1);
+  });
+});
+
+describe('sliceLines', () => {
+  it('selects lines across chunks', async () => {
+    const selectLines = sliceLines({ start: 1, end: 3 });
+    assert.strictEqual(
+      await readAll(selectLines(fromChunks(['a\nb', 'b\nc', '\nd\n']))),
+      'bb\nc\n',
+    );
+  });
+
+  it('selects last line without newline', async () => {
+    const selectLines = sliceLines({ start: 1 });
+    assert.strictEqual(
+      await readAll(selectLines(fromChunks(['a\nb', 'c']))),
+      'bc',
+    );
+  });
+
+  it('selects nothing for empty range', async () => {
+    const selectLines = sliceLines({ start: 1, end: 1 });
+    assert.strictEqual(await readAll(selectLines(fromChunks(['a\nb\n']))), '');
+  });
+});
+
+describe('createRangeStream', () => {
+  let tmpDir;
+  let filePath;
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    filePath = path.join(tmpDir, 'file');
+    fs.writeFileSync(filePath, '0123456789');
+  });
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  it('reads range of regular file', async () => {
+    assert.strictEqual(
+      await readAll(createRangeStream(filePath, { start: 2, end: 5 })),
+      '234',
+    );
+  });
+
+  it('reads to end of regular file without end', async () => {
+    assert.strictEqual(
+      await readAll(createRangeStream(filePath, { start: 7 })),
+      '789',
+    );
+  });
+
+  it('reads nothing for empty range', async () => {
+    assert.strictEqual(
+      await readAll(createRangeStream(filePath, { start: 5, end: 5 })),
+      '',
+    );
+  });
+
+  it('emits error for non-existent file', async () => {
+    try {
+      await readAll(createRangeStream(path.join(tmpDir, 'missing'), {}));
+      assert.fail('Expected error');
+    } catch (err) {
+      assert.strictEqual(err.code, 'ENOENT');
+    }
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const stream = require('node:stream');
+
+const { assert } = require('chai');
+
+const createReporter = require('../../lib/report.js');
+
+describe('createReporter', () => {
+  let errStream;
+  beforeEach(() => {
+    errStream = new stream.PassThrough();
+  });
+
+  function readRecords() {
+    return String(errStream.read())
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  }
+
+  it('writes text errors by default', () => {
+    const reporter = createReporter(errStream);
+    reporter.error(new Error('read failed'), 'file.txt');
+    reporter.error(new Error('write failed'), undefined, true);
+    assert.strictEqual(
+      String(errStream.read()),
+      'nodecat: file.txt: read failed\n'
+      + 'nodecat: Error: write failed\n',
+    );
+  });
+
+  it('writes text notices', () => {
+    const reporter = createReporter(errStream, 'text');
+    reporter.notice('file truncated', 'log');
+    assert.strictEqual(
+      String(errStream.read()),
+      'nodecat: log: file truncated\n',
+    );
+  });
+
+  it('writes JSON error records with json', () => {
+    const reporter = createReporter(errStream, 'json');
+    const errTest = new Error('ENOENT: no such file or directory, open');
+    errTest.code = 'ENOENT';
+    errTest.errno = -2;
+    errTest.syscall = 'open';
+    reporter.error(errTest, 'file.txt');
+    reporter.error(new Error('write failed'), undefined, true);
+    assert.deepEqual(readRecords(), [
+      {
+        type: 'error',
+        file: 'file.txt',
+        output: false,
+        code: 'ENOENT',
+        errno: -2,
+        syscall: 'open',
+        message: 'ENOENT: no such file or directory, open',
+      },
+      {
+        type: 'error',
+        file: null,
+        output: true,
+        code: null,
+        errno: null,
+        syscall: null,
+        message: 'write failed',
+      },
+    ]);
+  });
+
+  it('writes JSON notice records with json', () => {
+    const reporter = createReporter(errStream, 'json');
+    reporter.notice('file truncated', 'log');
+    assert.deepEqual(readRecords(), [
+      { type: 'notice', file: 'log', message: 'file truncated' },
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const stream = require('node:stream');
+
+const { assert } = require('chai');
+
+const createRetryStream = require('../../lib/retry-stream.js');
+
+async function readAll(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return String(Buffer.concat(chunks));
+}
+
+function createError(code) {
+  const err = new Error(`${code}: test error`);
+  err.code = code;
+  return err;
+}
+
+/** Creates a function which opens streams of content, which fail after
+ * the given number of bytes with the given error codes, in order.
+ *
+ * @private
+ */
+function createOpener(content, failures) {
+  const offsets = [];
+  function openStream(offset) {
+    offsets.push(offset);
+    const failure = failures[offsets.length - 1];
+    const end = failure ? offset + failure.length : content.length;
+    const readable = new stream.Readable({ read() {} });
+    readable.push(content.slice(offset, end));
+    if (failure) {
+      setImmediate(() => readable.destroy(createError(failure.code)));
+    } else {
+      readable.push(null);
+    }
+    return readable;
+  }
+  return { offsets, openStream };
+}
+
+describe('createRetryStream', () => {
+  const options = { retries: 2, retryDelay: 1 };
+
+  it('reads content without errors', async () => {
+    const { offsets, openStream } = createOpener('abcdef', []);
+    const retryStream = createRetryStream(openStream, options);
+    assert.strictEqual(await readAll(retryStream), 'abcdef');
+    assert.deepEqual(offsets, [0]);
+  });
+
+  it('continues from offset after retried error', async () => {
+    const { offsets, openStream } = createOpener('abcdef', [
+      { length: 2, code: 'EIO' },
+      { length: 1, code: 'EAGAIN' },
+    ]);
+    const retries = [];
+    const retryStream = createRetryStream(
+      openStream,
+      options,
+      (err, retryCount) => { retries.push([err.code, retryCount]); },
+    );
+    assert.strictEqual(await readAll(retryStream), 'abcdef');
+    assert.deepEqual(offsets, [0, 2, 3]);
+    // Retry count is reset after data is read
+    assert.deepEqual(retries, [['EIO', 1], ['EAGAIN', 1]]);
+  });
+
+  it('emits error after consecutive retries', async () => {
+    const { offsets, openStream } = createOpener('abc', [
+      { length: 1, code: 'EBUSY' },
+      { length: 0, code: 'EBUSY' },
+      { length: 0, code: 'EBUSY' },
+    ]);
+    try {
+      await readAll(createRetryStream(openStream, options));
+      assert.fail('should reject');
+    } catch (err) {
+      assert.strictEqual(err.code, 'EBUSY');
+    }
+    assert.deepEqual(offsets, [0, 1, 1]);
+  });
+
+  it('emits error which is not retried', async () => {
+    const { offsets, openStream } = createOpener('abc', [
+      { length: 1, code: 'ENOENT' },
+    ]);
+    try {
+      await readAll(createRetryStream(openStream, options));
+      assert.fail('should reject');
+    } catch (err) {
+      assert.strictEqual(err.code, 'ENOENT');
+    }
+    assert.deepEqual(offsets, [0]);
+  });
+
+  it('does not open stream until read', () => {
+    const { offsets, openStream } = createOpener('abc', []);
+    const retryStream = createRetryStream(openStream, options);
+    assert.deepEqual(offsets, []);
+    retryStream.destroy();
+  });
+
+  it('does not retry after destroy', async () => {
+    const { offsets, openStream } = createOpener('abc', [
+      { length: 1, code: 'EIO' },
+    ]);
+    const retryStream = createRetryStream(
+      openStream,
+      { retries: 1, retryDelay: 10 },
+      () => retryStream.destroy(),
+    );
+    retryStream.resume();
+    await new Promise((resolve) => {
+      retryStream.once('close', resolve);
+    });
+    await new Promise((resolve) => {
+      setTimeout(resolve, 20);
+    });
+    assert.deepEqual(offsets, [0]);
+  });
+});
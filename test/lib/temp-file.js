@@ -0,0 +1,83 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { assert } = require('chai');
+
+const { finishTempFile, openTempFile } = require('../../lib/temp-file.js');
+
+describe('openTempFile', () => {
+  let tmpDir;
+  let filePath;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    filePath = path.join(tmpDir, 'file');
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  it('creates hidden file in same directory', async () => {
+    const tempFile = await openTempFile(filePath);
+    try {
+      assert.strictEqual(path.dirname(tempFile.tempName), tmpDir);
+      assert.match(path.basename(tempFile.tempName), /^\.file\..*\.tmp$/);
+      assert.deepEqual(fs.readdirSync(tmpDir), [
+        path.basename(tempFile.tempName),
+      ]);
+    } finally {
+      fs.closeSync(tempFile.fd);
+    }
+  });
+
+  // Windows only supports the read-only bit of the mode
+  if (process.platform !== 'win32') {
+    it('sets mode of target with preserveMode', async () => {
+      fs.writeFileSync(filePath, '');
+      fs.chmodSync(filePath, 0o604);
+      const tempFile = await openTempFile(filePath, { preserveMode: true });
+      try {
+        // eslint-disable-next-line no-bitwise
+        assert.strictEqual(fs.fstatSync(tempFile.fd).mode & 0o777, 0o604);
+      } finally {
+        fs.closeSync(tempFile.fd);
+      }
+    });
+  }
+});
+
+describe('finishTempFile', () => {
+  let tmpDir;
+  let filePath;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    filePath = path.join(tmpDir, 'file');
+    fs.writeFileSync(filePath, 'old');
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  it('renames temporary file to target if isCommit', async () => {
+    const tempFile = await openTempFile(filePath);
+    fs.writeSync(tempFile.fd, 'new');
+    await finishTempFile(tempFile, filePath, true);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'new');
+    assert.deepEqual(fs.readdirSync(tmpDir), ['file']);
+  });
+
+  it('removes temporary file if not isCommit', async () => {
+    const tempFile = await openTempFile(filePath);
+    fs.writeSync(tempFile.fd, 'new');
+    await finishTempFile(tempFile, filePath, false);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'old');
+    assert.deepEqual(fs.readdirSync(tmpDir), ['file']);
+  });
+});
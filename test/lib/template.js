@@ -0,0 +1,41 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { assert } = require('chai');
+
+const compileTemplate = require('../../lib/template.js');
+
+describe('compileTemplate', () => {
+  const fieldNames = ['index', 'name'];
+
+  it('replaces placeholders with values', () => {
+    const format = compileTemplate('{index}: {name}\n', fieldNames);
+    assert.strictEqual(format({ index: 1, name: 'a' }), '1: a\n');
+  });
+
+  it('replaces repeated placeholders', () => {
+    const format = compileTemplate('{name}{name}', fieldNames);
+    assert.strictEqual(format({ name: 'a' }), 'aa');
+  });
+
+  it('returns template without placeholders unchanged', () => {
+    const format = compileTemplate('==> } <==', fieldNames);
+    assert.strictEqual(format({}), '==> } <==');
+  });
+
+  it('replaces escaped braces', () => {
+    const format = compileTemplate('{{name}} {{{name}}}', fieldNames);
+    assert.strictEqual(format({ name: 'a' }), '{name} {a}');
+  });
+
+  it('throws for unknown placeholder', () => {
+    assert.throws(
+      () => compileTemplate('{name} {size}', fieldNames),
+      /unknown placeholder \{size\}/,
+    );
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const { assert } = require('chai');
+
+const { createUrlStream, parseUrl } = require('../../lib/url-stream.js');
+
+const filePath = path.resolve(__dirname, '..', '..', 'package.json');
+
+async function readAll(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('parseUrl', () => {
+  for (const url of [
+    'data:,hello',
+    'file:///etc/hosts',
+    'http://example.com/',
+    'HTTPS://example.com/a?b#c',
+  ]) {
+    it(`parses ${url}`, () => {
+      assert.instanceOf(parseUrl(url), URL);
+    });
+  }
+
+  for (const fileName of [
+    'file.txt',
+    '-',
+    'ftp://example.com/',
+    'http:',
+    './http://example.com/',
+    '/tmp/https://example.com/',
+  ]) {
+    it(`does not parse ${fileName}`, () => {
+      assert.strictEqual(parseUrl(fileName), undefined);
+    });
+  }
+});
+
+describe('createUrlStream', () => {
+  let server;
+  let baseUrl;
+  before((done) => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+        case '/ok':
+          res.end('ok\n');
+          break;
+        case '/redirect':
+          res.writeHead(302, { Location: '/ok' });
+          res.end();
+          break;
+        case '/slow':
+          // Respond after the client times out
+          setTimeout(() => res.end('slow\n'), 2000).unref();
+          break;
+        default:
+          res.writeHead(404);
+          res.end('not found\n');
+          break;
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  after((done) => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  it('reads http: URL', async () => {
+    const content = await readAll(createUrlStream(new URL(`${baseUrl}/ok`)));
+    assert.strictEqual(String(content), 'ok\n');
+  });
+
+  it('follows redirects', async () => {
+    const content =
+      await readAll(createUrlStream(new URL(`${baseUrl}/redirect`)));
+    assert.strictEqual(String(content), 'ok\n');
+  });
+
+  it('emits error for non-2xx status', async () => {
+    const url = `${baseUrl}/missing`;
+    try {
+      await readAll(createUrlStream(new URL(url)));
+      assert.fail('Expected error');
+    } catch (err) {
+      assert.strictEqual(err.message, 'HTTP 404 Not Found');
+      assert.strictEqual(err.statusCode, 404);
+      assert.strictEqual(err.url, url);
+    }
+  });
+
+  it('emits error for response timeout', async () => {
+    const options = { urlTimeout: 50 };
+    try {
+      await readAll(createUrlStream(new URL(`${baseUrl}/slow`), options));
+      assert.fail('Expected error');
+    } catch (err) {
+      assert.strictEqual(err.code, 'ETIMEDOUT');
+    }
+  });
+
+  it('emits cause of network failure', async () => {
+    // Get a port which is not listening by closing a server on it
+    const closedServer = http.createServer();
+    await new Promise((resolve) => {
+      closedServer.listen(0, '127.0.0.1', resolve);
+    });
+    const { port } = closedServer.address();
+    await new Promise((resolve) => {
+      closedServer.close(resolve);
+    });
+
+    try {
+      await readAll(createUrlStream(new URL(`http://127.0.0.1:${port}/`)));
+      assert.fail('Expected error');
+    } catch (err) {
+      assert.strictEqual(err.code, 'ECONNREFUSED');
+    }
+  });
+
+  it('reads data: URL', async () => {
+    const content =
+      await readAll(createUrlStream(new URL('data:;base64,aGVsbG8K')));
+    assert.strictEqual(String(content), 'hello\n');
+  });
+
+  it('reads file: URL', async () => {
+    const content = await readAll(createUrlStream(pathToFileURL(filePath)));
+    assert.deepEqual(content, fs.readFileSync(filePath));
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { assert } = require('chai');
+
+const walkDir = require('../../lib/walk.js');
+
+describe('walkDir', () => {
+  let tmpDir;
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+  });
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true });
+  });
+
+  function writeFiles(fileNames) {
+    for (const fileName of fileNames) {
+      const filePath = path.join(tmpDir, fileName);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, fileName);
+    }
+  }
+
+  /**
+   * Walks tmpDir, with file names relative to tmpDir.
+   *
+   * @private
+   */
+  async function walk(options) {
+    const entries = await walkDir(tmpDir, options);
+    return entries.map(({ fileName, error }) => {
+      assert.ifError(error);
+      return path.relative(tmpDir, fileName);
+    });
+  }
+
+  it('lists files in name order with subdirectories in place', async () => {
+    writeFiles(['b', 'a/2', 'a/1', 'c', 'B']);
+    assert.deepEqual(
+      await walk(),
+      ['B', path.join('a', '1'), path.join('a', '2'), 'b', 'c'],
+    );
+  });
+
+  it('lists files in natural order', async () => {
+    writeFiles(['10.sql', '9.sql', '09a.sql', 'a.sql']);
+    assert.deepEqual(
+      await walk({ sort: 'natural' }),
+      ['9.sql', '09a.sql', '10.sql', 'a.sql'],
+    );
+  });
+
+  it('lists files in mtime order, then name order', async () => {
+    writeFiles(['a', 'b', 'c', 'd/e']);
+    fs.utimesSync(path.join(tmpDir, 'a'), 3, 3);
+    fs.utimesSync(path.join(tmpDir, 'b'), 1, 1);
+    fs.utimesSync(path.join(tmpDir, 'c'), 3, 3);
+    fs.utimesSync(path.join(tmpDir, 'd', 'e'), 2, 2);
+    assert.deepEqual(
+      await walk({ sort: 'mtime' }),
+      ['b', path.join('d', 'e'), 'a', 'c'],
+    );
+  });
+
+  it('skips hidden files and directories by default', async () => {
+    writeFiles(['.a', '.b/c', 'd']);
+    assert.deepEqual(await walk(), ['d']);
+  });
+
+  it('lists hidden files and directories with hidden', async () => {
+    writeFiles(['.a', '.b/c', 'd']);
+    assert.deepEqual(
+      await walk({ hidden: true }),
+      ['.a', path.join('.b', 'c'), 'd'],
+    );
+  });
+
+  it('lists files matching include', async () => {
+    writeFiles(['a.conf', 'b.txt', 'c/d.conf', 'e.cfg']);
+    assert.deepEqual(
+      await walk({ include: ['*.conf', '*.cfg'] }),
+      ['a.conf', path.join('c', 'd.conf'), 'e.cfg'],
+    );
+  });
+
+  it('skips files and directories matching exclude', async () => {
+    writeFiles(['a.conf', 'a.conf~', 'old/b.conf', 'c.conf']);
+    assert.deepEqual(
+      await walk({ exclude: ['*~', 'old'] }),
+      ['a.conf', 'c.conf'],
+    );
+  });
+
+  if (process.platform !== 'win32') {
+    it('skips symbolic links by default', async () => {
+      writeFiles(['a', 'd/b']);
+      fs.symlinkSync('a', path.join(tmpDir, 'link'));
+      fs.symlinkSync('d', path.join(tmpDir, 'linkdir'));
+      assert.deepEqual(await walk(), ['a', path.join('d', 'b')]);
+    });
+
+    it('follows symbolic links with followSymlinks', async () => {
+      writeFiles(['a', 'd/b']);
+      fs.symlinkSync('a', path.join(tmpDir, 'link'));
+      fs.symlinkSync('d', path.join(tmpDir, 'linkdir'));
+      assert.deepEqual(await walk({ followSymlinks: true }), [
+        'a',
+        path.join('d', 'b'),
+        'link',
+        path.join('linkdir', 'b'),
+      ]);
+    });
+
+    it('skips symbolic links to ancestors with followSymlinks', async () => {
+      writeFiles(['d/a']);
+      fs.symlinkSync('..', path.join(tmpDir, 'd', 'parent'));
+      assert.deepEqual(
+        await walk({ followSymlinks: true }),
+        [path.join('d', 'a')],
+      );
+    });
+
+    it('reports error for broken link with followSymlinks', async () => {
+      fs.symlinkSync('nonexistent', path.join(tmpDir, 'link'));
+      const entries = await walkDir(tmpDir, { followSymlinks: true });
+      assert.strictEqual(entries.length, 1);
+      assert.strictEqual(entries[0].fileName, path.join(tmpDir, 'link'));
+      assert.strictEqual(entries[0].error.code, 'ENOENT');
+    });
+  }
+
+  it('reports error for non-existent directory', async () => {
+    const dirName = path.join(tmpDir, 'nonexistent');
+    const entries = await walkDir(dirName);
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].fileName, dirName);
+    assert.strictEqual(entries[0].error.code, 'ENOENT');
+  });
+});
@@ -5,6 +5,9 @@
 
 'use strict';
 
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
 const stream = require('node:stream');
 
 const { assert } = require('chai');
@@ -16,6 +19,16 @@ const { match } = sinon;
 // Simulate arguments passed by the node runtime
 const RUNTIME_ARGS = ['node', 'nodecat'];
 
+/**
+ * Escapes control characters in a test title (as in a JSON string), so
+ * test output is text.
+ *
+ * @private
+ */
+function escapeTitle(title) {
+  return title.replaceAll(/\p{Cc}/gu, (c) => JSON.stringify(c).slice(1, -1));
+}
+
 describe('nodecat command', () => {
   // In order to test the command parsing module in isolation, we need to mock
   // the nodecat module function.  To use different mocks for each test without
@@ -38,7 +51,7 @@ describe('nodecat command', () => {
   function expectArgsAs(args, expectFiles, expectOpts) {
     const msg = `interprets ${args.join(' ')} as ${
       expectFiles.join(' ')} with ${expectOpts}`;
-    it(msg, () => {
+    it(escapeTitle(msg), () => {
       nodecat = sinon.mock()
         .once()
         .withArgs(
@@ -53,7 +66,7 @@ describe('nodecat command', () => {
   }
 
   function expectArgsErr(args, expectErrMsg) {
-    it(`prints error and exits for ${args.join(' ')}`, (done) => {
+    it(escapeTitle(`prints error and exits for ${args.join(' ')}`), (done) => {
       const outStream = new stream.PassThrough();
       const errStream = new stream.PassThrough();
       const options = {
@@ -99,6 +112,142 @@ describe('nodecat command', () => {
   expectArgsAs(['-uu'], ['-'], matchDefaultOpts);
   expectArgsAs(['-uu', '--', '-uu'], ['-uu'], matchDefaultOpts);
   expectArgsAs(['--', '-a'], ['-a'], matchDefaultOpts);
+  expectArgsAs(['-n'], ['-'], match({ number: true }));
+  expectArgsAs(['-b', 'file.txt'], ['file.txt'], match({
+    numberNonblank: true,
+  }));
+  expectArgsAs(['-nbu'], ['-'], match({ number: true, numberNonblank: true }));
+  expectArgsAs(['--', '-n'], ['-n'], match((opts) => !opts.number));
+  expectArgsAs(['-v'], ['-'], match({ showNonprinting: true }));
+  expectArgsAs(['-E'], ['-'], match({ showEnds: true }));
+  expectArgsAs(['-T'], ['-'], match({ showTabs: true }));
+  expectArgsAs(['-A'], ['-'], match({
+    showEnds: true,
+    showNonprinting: true,
+    showTabs: true,
+  }));
+  expectArgsAs(['-e'], ['-'], match({
+    showEnds: true,
+    showNonprinting: true,
+  }));
+  expectArgsAs(['-t'], ['-'], match({
+    showNonprinting: true,
+    showTabs: true,
+  }));
+  expectArgsAs(['-E'], ['-'], match((opts) => !opts.showNonprinting));
+  expectArgsAs(['-s'], ['-'], match({ squeezeBlank: true }));
+  expectArgsAs(['--read-ahead=4'], ['-'], match({ readAhead: 4 }));
+  expectArgsAs(
+    ['--read-ahead', '0', 'file.txt'],
+    ['file.txt'],
+    match({ readAhead: 0 }),
+  );
+  expectArgsAs(['--glob', '*.txt'], ['*.txt'], match({ glob: true }));
+  expectArgsAs(
+    ['--glob', '*.txt', '--', '*.txt', '-'],
+    ['*.txt', '[*].txt', '-'],
+    match({ glob: true }),
+  );
+  expectArgsAs(['--', '*.txt'], ['*.txt'], match((opts) => !opts.glob));
+  expectArgsAs(['-r'], ['-'], match({ recursive: true }));
+  expectArgsAs(['-z'], ['-'], match({ decompress: true }));
+  expectArgsAs(['--compress=gzip'], ['-'], match({ compress: 'gzip' }));
+  expectArgsAs(
+    ['--compress', 'brotli', '--compress-level', '11'],
+    ['-'],
+    match({ compress: 'brotli', compressLevel: 11 }),
+  );
+  expectArgsAs(['--decompress'], ['-'], match({ decompress: true }));
+  expectArgsAs(['--recursive'], ['-'], match({ recursive: true }));
+  expectArgsAs(
+    ['--include=*.sql', '--include', '*.conf', '--exclude=old'],
+    ['-'],
+    match({ exclude: ['old'], include: ['*.sql', '*.conf'] }),
+  );
+  expectArgsAs(
+    ['--follow-symlinks', '--hidden', '--sort=natural'],
+    ['-'],
+    match({ followSymlinks: true, hidden: true, sort: 'natural' }),
+  );
+  expectArgsAs(['--headers'], ['-'], match({
+    header: '==> {name} <==\n',
+    separator: '\n',
+  }));
+  expectArgsAs(
+    ['--headers', '--separator', '', '--header={name}\\t'],
+    ['-'],
+    match({ header: '{name}\t', separator: '' }),
+  );
+  expectArgsAs(
+    ['--footer=\\\\{index}\\0', '--separator=\\x\\n'],
+    ['-'],
+    match({ footer: '\\{index}\0', separator: '\\x\n' }),
+  );
+  expectArgsAs(['-f'], ['-'], match({ follow: 'descriptor' }));
+  expectArgsAs(['-F'], ['-'], match({ follow: 'name' }));
+  expectArgsAs(['--follow'], ['-'], match({ follow: 'descriptor' }));
+  expectArgsAs(
+    ['--follow=name', '--follow-all', '--follow-interval', '100', 'log'],
+    ['log'],
+    match({ follow: 'name', followAll: true, followInterval: 100 }),
+  );
+  expectArgsAs(
+    ['--ranges', 'file.bin@1024:4096'],
+    ['file.bin@1024:4096'],
+    match({ ranges: true }),
+  );
+  expectArgsAs(
+    ['--skip-bytes=10', '--max-bytes', '20', '--lines=10:20'],
+    ['-'],
+    match({ lines: { start: 10, end: 20 }, maxBytes: 20, skipBytes: 10 }),
+  );
+  expectArgsAs(['--lines', ':5'], ['-'], match({ lines: { start: 0 } }));
+  expectArgsAs(
+    ['--urls', '--url-timeout=5000', 'http://example.com/'],
+    ['http://example.com/'],
+    match({ urls: true, urlTimeout: 5000 }),
+  );
+  expectArgsAs(['--on-error=fail-fast'], ['-'], match({
+    onError: 'fail-fast',
+  }));
+  expectArgsAs(
+    ['--on-error', 'retry', '--retries=5', '--retry-delay', '1000'],
+    ['-'],
+    match({ onError: 'retry', retries: 5, retryDelay: 1000 }),
+  );
+  expectArgsAs(
+    ['--inactivity-timeout=60000', '--timeout', '3600000'],
+    ['-'],
+    match({ inactivityTimeout: 60000, timeout: 3600000 }),
+  );
+  expectArgsAs(
+    ['-o', 'out', 'file'],
+    ['file'],
+    match((opts) => opts.outputFile === 'out' && !opts.outStream),
+  );
+  expectArgsAs(['-nout'], ['-'], match({ number: true, outputFile: 'ut' }));
+  expectArgsAs(
+    ['--output=out', '--keep-partial', '--preserve', 'mode,ownership'],
+    ['-'],
+    match({
+      keepPartial: true,
+      outputFile: 'out',
+      preserveMode: true,
+      preserveOwnership: true,
+    }),
+  );
+  expectArgsAs(['--report=json'], ['-'], match({ report: 'json' }));
+  expectArgsAs(
+    ['--checksum=sha256', '--checksum-inputs', 'file'],
+    ['file'],
+    match({ checksum: 'sha256', checksumInputs: true }),
+  );
+  expectArgsAs(['--report', 'text'], ['-'], match({ report: 'text' }));
+  expectArgsAs(
+    ['-o', 'out', '--preserve=mode'],
+    ['-'],
+    match((opts) => opts.preserveMode && !opts.preserveOwnership),
+  );
 
   // Check argument errors are handled correctly
   // eslint-disable-next-line unicorn/consistent-function-scoping
@@ -108,6 +257,63 @@ describe('nodecat command', () => {
   }
   expectArgsErr(['-a'], matchBadOpt('-a'));
   expectArgsErr(['--unknown'], matchBadOpt('--unknown'));
+  expectArgsErr(['-nx'], matchBadOpt('-x'));
+  expectArgsErr(['--read-ahead'], /\bargument\b.*--read-ahead/);
+  expectArgsErr(['--read-ahead=x'], /\binvalid\b.*--read-ahead/);
+  expectArgsErr(['--read-ahead=-1'], /\binvalid\b.*--read-ahead/);
+  expectArgsErr(['--sort=size'], /\binvalid\b.*--sort/);
+  expectArgsErr(['--include=[9-0]*'], /\binvalid\b.*--include/);
+  expectArgsErr(['--exclude', '[z-a]'], /\binvalid\b.*--exclude/);
+  expectArgsErr(['--compress=zip'], /\binvalid\b.*--compress/);
+  expectArgsErr(['--compress-level=1'], /--compress-level requires --compress/);
+  expectArgsErr(
+    ['--compress=gzip', '--compress-level=10'],
+    /\binvalid\b.*--compress=gzip/,
+  );
+  expectArgsErr(['--stats=1'], /--stats doesn't allow an argument/);
+  expectArgsErr(['--header={file}'], /\binvalid\b.*--header/);
+  expectArgsErr(['--footer'], /\bargument\b.*--footer/);
+  expectArgsErr(['--follow=inode'], /\binvalid\b.*--follow/);
+  expectArgsErr(['--follow-interval=0'], /\binvalid\b.*--follow-interval/);
+  expectArgsErr(['--follow-all=1'], /--follow-all doesn't allow an argument/);
+  expectArgsErr(['--lines=10'], /\binvalid\b.*--lines/);
+  expectArgsErr(['--lines=20:10'], /\binvalid\b.*--lines/);
+  expectArgsErr(['--skip-bytes=-1'], /\binvalid\b.*--skip-bytes/);
+  expectArgsErr(['--max-bytes'], /\bargument\b.*--max-bytes/);
+  expectArgsErr(['--url-timeout=1s'], /\binvalid\b.*--url-timeout/);
+  expectArgsErr(['--urls=1'], /--urls doesn't allow an argument/);
+  expectArgsErr(
+    ['--inactivity-timeout=0'],
+    /\binvalid\b.*--inactivity-timeout/,
+  );
+  expectArgsErr(['--timeout=1m'], /\binvalid\b.*--timeout/);
+  expectArgsErr(['--on-error=ignore'], /\binvalid\b.*--on-error/);
+  expectArgsErr(['--report=xml'], /\binvalid\b.*--report/);
+  expectArgsErr(['--checksum=sha0'], /\binvalid\b.*--checksum/);
+  expectArgsErr(
+    ['--checksum-inputs'],
+    /--checksum-inputs requires --checksum/,
+  );
+  expectArgsErr(
+    ['--checksum-file=SUMS'],
+    /--checksum-file requires --checksum/,
+  );
+  expectArgsErr(['--verify=SUMS'], /--verify requires --checksum/);
+  expectArgsErr(['--checksum=md5', '--verify='], /\binvalid\b.*--verify/);
+  expectArgsErr(['--retries=2'], /--retries requires --on-error=retry/);
+  expectArgsErr(
+    ['--on-error=continue', '--retry-delay=2'],
+    /--retry-delay requires --on-error=retry/,
+  );
+  expectArgsErr(
+    ['--on-error=retry', '--retries=x'],
+    /\binvalid\b.*--retries/,
+  );
+  expectArgsErr(['-o'], /\bargument\b.*-- o/);
+  expectArgsErr(['--output='], /\binvalid\b.*--output/);
+  expectArgsErr(['-o', 'out', '--preserve=links'], /\binvalid\b.*--preserve/);
+  expectArgsErr(['--keep-partial'], /--keep-partial requires --output/);
+  expectArgsErr(['--preserve=mode'], /--preserve requires --output/);
 
   it('yields 0 for non-Error nodecat result', (done) => {
     nodecat = sinon.mock()
@@ -143,6 +349,507 @@ describe('nodecat command', () => {
     });
   });
 
+  it('yields 1 for input Error nodecat result', (done) => {
+    const errTest = new Error('test error');
+    errTest.fileName = 'file.txt';
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['-']),
+        match.object,
+        match.func,
+      )
+      .yields(errTest);
+    nodecatCmd(RUNTIME_ARGS, {}, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 1);
+      done();
+    });
+  });
+
+  it('yields 2 for output Error nodecat result', (done) => {
+    const errIn = new Error('input error');
+    errIn.fileName = 'file.txt';
+    const errOut = new Error('output error');
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['-']),
+        match.object,
+        match.func,
+      )
+      .yields(new AggregateError([errIn, errOut], 'test errors'));
+    nodecatCmd(RUNTIME_ARGS, {}, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 2);
+      done();
+    });
+  });
+
+  it('passes signal to nodecat', (done) => {
+    const { signal } = new AbortController();
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['-']),
+        match({ signal }),
+        match.func,
+      )
+      .yields(null);
+    nodecatCmd(RUNTIME_ARGS, { signal }, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 0);
+      done();
+    });
+  });
+
+  it('yields AbortError from nodecat when signal is aborted', (done) => {
+    const errAbort = new Error('The operation was aborted');
+    errAbort.name = 'AbortError';
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['-']),
+        match.object,
+        match.func,
+      )
+      .yields(errAbort);
+    const signal = AbortSignal.abort();
+    nodecatCmd(RUNTIME_ARGS, { signal }, (err) => {
+      assert.strictEqual(err, errAbort);
+      done();
+    });
+  });
+
+  it('aborts signal passed to nodecat with follow on abort', (done) => {
+    const abortController = new AbortController();
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['log']),
+        match({ follow: 'descriptor' }),
+        match.func,
+      );
+    const sigintCount = process.listenerCount('SIGINT');
+    nodecatCmd(
+      [...RUNTIME_ARGS, '-f', 'log'],
+      { signal: abortController.signal },
+      (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(process.listenerCount('SIGINT'), sigintCount);
+        done();
+      },
+    );
+    const [, { signal }, callback] = nodecat.firstCall.args;
+    assert.isFalse(signal.aborted);
+    abortController.abort();
+    assert.isTrue(signal.aborted);
+    callback(null);
+  });
+
+  it('prints summary to errStream for --stats', (done) => {
+    const errTest = new Error('test error');
+    errTest.fileName = 'bad.txt';
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['file.txt', '-', 'bad.txt', '-']),
+        match.object,
+        match.func,
+      )
+      .yields(errTest, {
+        files: [
+          {
+            fileName: 'file.txt',
+            source: 'file',
+            bytes: 10,
+            duration: 1.25,
+            skipped: false,
+            error: undefined,
+          },
+          {
+            fileName: '-',
+            source: 'stream',
+            bytes: 5,
+            duration: 2,
+            skipped: false,
+            error: undefined,
+          },
+          {
+            fileName: 'bad.txt',
+            source: 'file',
+            bytes: 0,
+            duration: 0.5,
+            skipped: false,
+            error: errTest,
+          },
+          {
+            fileName: '-',
+            source: 'stream',
+            bytes: 0,
+            duration: 0,
+            skipped: true,
+            error: undefined,
+          },
+        ],
+        bytesRead: 15,
+        bytesWritten: 15,
+        duration: 4,
+      });
+    const options = {
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    const allArgs = [
+      ...RUNTIME_ARGS,
+      '--stats',
+      'file.txt',
+      '-',
+      'bad.txt',
+      '-',
+    ];
+    nodecatCmd(allArgs, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 1);
+      assert.strictEqual(
+        String(options.errStream.read()),
+        'nodecat: file.txt: file, 10 bytes, 1.3 ms\n'
+        + 'nodecat: -: stream, 5 bytes, 2.0 ms\n'
+        + 'nodecat: bad.txt: file, 0 bytes, 0.5 ms, error: test error\n'
+        + 'nodecat: -: stream, 0 bytes, 0.0 ms, skipped\n'
+        + 'nodecat: total: 4 files, 15 bytes read, 15 bytes written, '
+        + '4.0 ms\n',
+      );
+      done();
+    });
+  });
+
+  it('prints summary record to errStream for --stats --report=json', (done) => {
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['file.txt']),
+        match({ report: 'json' }),
+        match.func,
+      )
+      .yields(null, {
+        files: [
+          {
+            fileName: 'file.txt',
+            source: 'file',
+            bytes: 10,
+            duration: 1.25,
+            skipped: false,
+            error: undefined,
+          },
+        ],
+        bytesRead: 10,
+        bytesWritten: 10,
+        duration: 2,
+      });
+    const options = {
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    const allArgs = [...RUNTIME_ARGS, '--stats', '--report=json', 'file.txt'];
+    nodecatCmd(allArgs, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 0);
+      assert.deepEqual(JSON.parse(options.errStream.read()), {
+        type: 'summary',
+        files: [
+          {
+            file: 'file.txt',
+            source: 'file',
+            bytes: 10,
+            duration: 1.25,
+            skipped: false,
+            error: null,
+          },
+        ],
+        bytesRead: 10,
+        bytesWritten: 10,
+        duration: 2,
+      });
+      done();
+    });
+  });
+
+  describe('with --checksum', () => {
+    const digestA = 'a'.repeat(64);
+    const digestOut = 'b'.repeat(64);
+    const checksumSummary = {
+      files: [
+        {
+          fileName: 'a.txt',
+          source: 'file',
+          bytes: 1,
+          duration: 1,
+          skipped: false,
+          error: undefined,
+          checksum: digestA,
+        },
+      ],
+      bytesRead: 1,
+      bytesWritten: 1,
+      duration: 1,
+      checksum: digestOut,
+    };
+
+    let tmpDir;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    });
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('prints checksums to errStream', (done) => {
+      nodecat = sinon.mock()
+        .once()
+        .withArgs(
+          match(['a.txt']),
+          match({ checksum: 'sha256' }),
+          match.func,
+        )
+        .yields(null, checksumSummary);
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const allArgs = [...RUNTIME_ARGS, '--checksum=sha256', 'a.txt'];
+      nodecatCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `${digestA}  a.txt\n${digestOut}  -\n`,
+        );
+        done();
+      });
+    });
+
+    it('does not print output checksum after error', (done) => {
+      const errTest = new Error('test error');
+      errTest.fileName = 'b.txt';
+      nodecat = sinon.mock()
+        .once()
+        .withArgs(
+          match(['a.txt', 'b.txt']),
+          match.object,
+          match.func,
+        )
+        .yields(errTest, checksumSummary);
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const allArgs =
+        [...RUNTIME_ARGS, '--checksum=sha256', 'a.txt', 'b.txt'];
+      nodecatCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `${digestA}  a.txt\n`,
+        );
+        done();
+      });
+    });
+
+    it('prints checksum records with --report=json', (done) => {
+      nodecat = sinon.mock()
+        .once()
+        .withArgs(
+          match(['a.txt']),
+          match.object,
+          match.func,
+        )
+        .yields(null, checksumSummary);
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--checksum=sha256',
+        '--report=json',
+        '-o',
+        'out',
+        'a.txt',
+      ];
+      nodecatCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.deepEqual(
+          String(options.errStream.read())
+            .split('\n')
+            .filter(Boolean)
+            .map((line) => JSON.parse(line)),
+          [
+            {
+              type: 'checksum',
+              file: 'a.txt',
+              algorithm: 'sha256',
+              digest: digestA,
+            },
+            {
+              type: 'checksum',
+              file: 'out',
+              algorithm: 'sha256',
+              digest: digestOut,
+            },
+          ],
+        );
+        done();
+      });
+    });
+
+    it('writes checksums to --checksum-file', (done) => {
+      nodecat = sinon.mock()
+        .once()
+        .withArgs(
+          match(['a.txt']),
+          match.object,
+          match.func,
+        )
+        .yields(null, checksumSummary);
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const sumsPath = path.join(tmpDir, 'SUMS');
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--checksum=sha256',
+        `--checksum-file=${sumsPath}`,
+        'a.txt',
+      ];
+      nodecatCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(options.errStream.read(), null);
+        assert.strictEqual(
+          fs.readFileSync(sumsPath, 'utf8'),
+          `${digestA}  a.txt\n${digestOut}  -\n`,
+        );
+        done();
+      });
+    });
+
+    it('yields 2 if --checksum-file can not be written', (done) => {
+      nodecat = sinon.mock()
+        .once()
+        .withArgs(
+          match(['a.txt']),
+          match.object,
+          match.func,
+        )
+        .yields(null, checksumSummary);
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const sumsPath = path.join(tmpDir, 'missing', 'SUMS');
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--checksum=sha256',
+        `--checksum-file=${sumsPath}`,
+        'a.txt',
+      ];
+      nodecatCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 2);
+        assert.match(
+          String(options.errStream.read()),
+          /^nodecat: .*SUMS: ENOENT\b/,
+        );
+        done();
+      });
+    });
+
+    it('passes checksums from --verify manifest to nodecat', (done) => {
+      const manifestPath = path.join(tmpDir, 'SUMS');
+      fs.writeFileSync(manifestPath, `${digestA}  a.txt\n`);
+      nodecat = sinon.mock()
+        .once()
+        .withArgs(
+          match(['a.txt']),
+          match((opts) => opts.verify.size === 1
+            && opts.verify.get('a.txt') === digestA),
+          match.func,
+        )
+        .yields(null, checksumSummary);
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--checksum=sha256',
+        `--verify=${manifestPath}`,
+        'a.txt',
+      ];
+      nodecatCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 0);
+        nodecat.verify();
+        done();
+      });
+    });
+
+    it('prints error and yields 1 for invalid --verify manifest', (done) => {
+      const manifestPath = path.join(tmpDir, 'SUMS');
+      fs.writeFileSync(manifestPath, 'not a checksum\n');
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const allArgs = [
+        ...RUNTIME_ARGS,
+        '--checksum=sha256',
+        `--verify=${manifestPath}`,
+        'a.txt',
+      ];
+      nodecatCmd(allArgs, options, (err, code) => {
+        assert.ifError(err);
+        assert.strictEqual(code, 1);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `nodecat: ${manifestPath}: invalid checksum line 1\n`,
+        );
+        done();
+      });
+    });
+  });
+
+  it('does not print summary without --stats', (done) => {
+    nodecat = sinon.mock()
+      .once()
+      .withArgs(
+        match(['-']),
+        match.object,
+        match.func,
+      )
+      .yields(null, {
+        files: [],
+        bytesRead: 0,
+        bytesWritten: 0,
+        duration: 0,
+      });
+    const options = {
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecatCmd(RUNTIME_ARGS, options, (err, code) => {
+      assert.ifError(err);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(options.errStream.read(), null);
+      done();
+    });
+  });
+
   it('throws TypeError for non-function callback', () => {
     assert.throws(
       () => { nodecatCmd(RUNTIME_ARGS, {}, true); },
@@ -175,6 +882,14 @@ describe('nodecat command', () => {
     });
   });
 
+  it('yields TypeError for non-AbortSignal signal', (done) => {
+    nodecatCmd([], { signal: true }, (err) => {
+      assert.instanceOf(err, TypeError);
+      assert.match(err.message, /\boptions.signal\b/);
+      done();
+    });
+  });
+
   it('yields TypeError for non-Writable errStream', (done) => {
     nodecatCmd([], { errStream: new stream.Readable() }, (err) => {
       assert.instanceOf(err, TypeError);
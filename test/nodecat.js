@@ -5,9 +5,15 @@
 
 'use strict';
 
+const { createHash } = require('node:crypto');
+const { EventEmitter } = require('node:events');
 const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
 const path = require('node:path');
 const stream = require('node:stream');
+const { pathToFileURL } = require('node:url');
+const zlib = require('node:zlib');
 
 const { assert } = require('chai');
 const sinon = require('sinon');
@@ -32,6 +38,56 @@ function listenerCount(emitter, eventName) {
   return emitter.listeners(eventName).length;
 }
 
+/**
+ * Reads all data from a stream.
+ *
+ * @private
+ */
+async function readAll(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Concatenates files with given options and returns the output as a string.
+ *
+ * @private
+ */
+async function catToString(fileNames, options) {
+  const outStream = new stream.PassThrough();
+  await nodecat(fileNames, {
+    outStream,
+    errStream: new stream.PassThrough(),
+    ...options,
+  });
+  return String(outStream.read());
+}
+
+/**
+ * Collects all values from an async iterable.
+ *
+ * @private
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Gets the hex-encoded SHA-256 digest of data.
+ *
+ * @private
+ */
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
 describe('nodecat', () => {
   it('concatenates a named file to outStream', (done) => {
     const options = {
@@ -42,70 +98,2591 @@ describe('nodecat', () => {
       assert.ifError(err);
       options.outStream.end(() => {
         assert.deepEqual(options.outStream.read(), fileContent);
-        assert.strictEqual(options.errStream.read(), null);
+        assert.strictEqual(options.errStream.read(), null);
+        done();
+      });
+    });
+  });
+
+  it('concatenates two named files to outStream', (done) => {
+    const options = {
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat([filePath, filePath], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.deepEqual(
+          options.outStream.read(),
+          Buffer.concat([fileContent, fileContent]),
+        );
+        assert.strictEqual(options.errStream.read(), null);
+        done();
+      });
+    });
+  });
+
+  it('concatenates stdout to outStream', (done) => {
+    const testData = Buffer.from('Stuff');
+    const inStream = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        '-': inStream,
+      },
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['-'], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.deepEqual(options.outStream.read(), testData);
+        assert.strictEqual(options.errStream.read(), null);
+        done();
+      });
+    });
+    inStream.end(testData);
+  });
+
+  it('concatenates stdout once when named twice', (done) => {
+    const testData = Buffer.from('Stuff');
+    const inStream = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        '-': inStream,
+      },
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['-', '-'], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.deepEqual(options.outStream.read(), testData);
+        assert.strictEqual(options.errStream.read(), null);
+        done();
+      });
+    });
+    inStream.end(testData);
+  });
+
+  it('numbers lines continuing across files with number', (done) => {
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      number: true,
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['file1.txt', 'file2.txt'], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.strictEqual(
+          String(options.outStream.read()),
+          '     1\tone\n     2\ttwothree\n     3\t\n',
+        );
+        assert.strictEqual(options.errStream.read(), null);
+        done();
+      });
+    });
+    stream1.end('one\ntwo');
+    stream2.end('three\n\n');
+  });
+
+  it('numbers non-blank lines with numberNonblank', (done) => {
+    const inStream = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        '-': inStream,
+      },
+      numberNonblank: true,
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['-'], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.strictEqual(
+          String(options.outStream.read()),
+          '     1\tone\n\n     2\ttwo\n',
+        );
+        done();
+      });
+    });
+    inStream.write('one\n');
+    inStream.end('\ntwo\n');
+  });
+
+  it('shows non-printing characters with showNonprinting', (done) => {
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      showEnds: true,
+      showNonprinting: true,
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['file1.txt', 'file2.txt'], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.strictEqual(
+          String(options.outStream.read()),
+          'a^A\tb$\n^?$\n',
+        );
+        done();
+      });
+    });
+    stream1.end('a\u0001\t');
+    stream2.end('b\n\u007F\n');
+  });
+
+  it('squeezes blank lines across files with squeezeBlank', (done) => {
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      squeezeBlank: true,
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['file1.txt', 'file2.txt'], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.strictEqual(
+          String(options.outStream.read()),
+          'header\n\nbody\n',
+        );
+        done();
+      });
+    });
+    stream1.end('header\n\n');
+    stream2.end('\n\nbody\n');
+  });
+
+  it('applies transforms to each file with its name', (done) => {
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const transformFileNames = [];
+    const options = {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      transforms: [
+        (fileName) => {
+          transformFileNames.push(fileName);
+          return new stream.Transform({
+            transform(chunk, encoding, cb) {
+              cb(null, String(chunk).toUpperCase());
+            },
+            flush(cb) {
+              cb(null, `[${fileName}]`);
+            },
+          });
+        },
+        async function* addPrefix(source, fileName) {
+          yield `${fileName}:`;
+          yield* source;
+        },
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['file1.txt', 'file2.txt'], options, (err) => {
+      assert.ifError(err);
+      assert.deepEqual(transformFileNames, ['file1.txt', 'file2.txt']);
+      options.outStream.end(() => {
+        assert.strictEqual(
+          String(options.outStream.read()),
+          'file1.txt:ONE[file1.txt]file2.txt:TWO[file2.txt]',
+        );
+        assert.strictEqual(options.errStream.read(), null);
+        done();
+      });
+    });
+    stream1.end('one');
+    stream2.end('two');
+  });
+
+  it('attributes transform errors to file and continues', (done) => {
+    const errTest = new Error('test transform error');
+    const options = {
+      fileStreams: {
+        '-': new stream.PassThrough(),
+      },
+      transforms: [
+        (fileName) => new stream.Transform({
+          transform(chunk, encoding, cb) {
+            cb(fileName === '-' ? errTest : null, chunk);
+          },
+        }),
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['-', filePath], options, (err) => {
+      assert.strictEqual(err, errTest);
+      assert.strictEqual(err.fileName, '-');
+      options.outStream.end(() => {
+        assert.deepEqual(options.outStream.read(), fileContent);
+        assert.match(
+          options.errStream.read(),
+          /^nodecat: -: .*test transform error.*\n$/,
+        );
+        done();
+      });
+    });
+    options.fileStreams['-'].end('data');
+  });
+
+  it('attributes async generator transform errors to file', (done) => {
+    const errTest = new Error('test transform error');
+    const options = {
+      transforms: [
+        // eslint-disable-next-line require-yield
+        async function* throwError() {
+          throw errTest;
+        },
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat([filePath], options, (err) => {
+      assert.strictEqual(err, errTest);
+      assert.strictEqual(err.fileName, filePath);
+      options.outStream.end(() => {
+        assert.strictEqual(options.outStream.read(), null);
+        done();
+      });
+    });
+  });
+
+  it('attributes transform factory errors to file', (done) => {
+    const errTest = new Error('test transform error');
+    const options = {
+      transforms: [
+        () => { throw errTest; },
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat([filePath], options, (err) => {
+      assert.strictEqual(err, errTest);
+      assert.strictEqual(err.fileName, filePath);
+      options.outStream.end(() => {
+        assert.strictEqual(options.outStream.read(), null);
+        assert.match(
+          options.errStream.read(),
+          /^nodecat: .*package\.json: .*test transform error.*\n$/,
+        );
+        done();
+      });
+    });
+  });
+
+  it('applies outputTransforms to concatenated output', (done) => {
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      number: true,
+      outputTransforms: [
+        new stream.Transform({
+          transform(chunk, encoding, cb) {
+            cb(null, String(chunk).toUpperCase());
+          },
+        }),
+        async function* addSuffix(source) {
+          yield* source;
+          yield 'END';
+        },
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['file1.txt', 'file2.txt'], options, (err) => {
+      assert.ifError(err);
+      options.outStream.end(() => {
+        assert.strictEqual(
+          String(options.outStream.read()),
+          '     1\tONE\n     2\tTWO\nEND',
+        );
+        done();
+      });
+    });
+    stream1.end('one\n');
+    stream2.end('two\n');
+  });
+
+  it('treats outputTransforms errors as write errors', (done) => {
+    const errTest = new Error('test output transform error');
+    const inStream = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        '-': inStream,
+      },
+      outputTransforms: [
+        new stream.Transform({
+          transform(chunk, encoding, cb) {
+            cb(errTest);
+          },
+        }),
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    options.fileStreams[filePath] = {
+      pipe: sinon.mock().never(),
+    };
+    let callCount = 0;
+    nodecat(['-', filePath], options, (err) => {
+      callCount += 1;
+      assert.strictEqual(callCount, 1);
+      assert.strictEqual(err, errTest);
+      assert.strictEqual(err.fileName, undefined);
+      setImmediate(() => {
+        assert.strictEqual(options.outStream.read(), null);
+        assert.match(
+          options.errStream.read(),
+          /^nodecat: .*test output transform error.*\n$/,
+        );
+        // Output transform is unpiped from outStream
+        assert.strictEqual(listenerCount(options.outStream, 'unpipe'), 0);
+        done();
+      });
+    });
+    inStream.write('data');
+  });
+
+  it('emits lifecycle and progress events on emitter', (done) => {
+    const errTest = new Error('test read error');
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const emitter = new EventEmitter();
+    const events = [];
+    for (const eventName of [
+      'fileStart',
+      'fileEnd',
+      'fileError',
+      'progress',
+      'finish',
+    ]) {
+      emitter.on(eventName, (...args) => events.push([eventName, ...args]));
+    }
+    const options = {
+      emitter,
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    const fileNames = ['file1.txt', 'file2.txt', 'file1.txt'];
+    nodecat(fileNames, options, (err, summary) => {
+      assert.strictEqual(err, errTest);
+      assert.deepEqual(events, [
+        ['fileStart', 'file1.txt'],
+        ['progress', 3],
+        ['progress', 5],
+        ['fileEnd', 'file1.txt', 5],
+        ['fileStart', 'file2.txt'],
+        ['fileError', errTest],
+        ['finish', errTest, summary],
+      ]);
+      done();
+    });
+    stream1.write('one');
+    setImmediate(() => {
+      stream1.end('on');
+      setImmediate(() => {
+        stream2.emit('error', errTest);
+      });
+    });
+  });
+
+  it('emits progress of formatted output on emitter', (done) => {
+    const emitter = new EventEmitter();
+    const progress = [];
+    emitter.on('progress', (bytesWritten) => progress.push(bytesWritten));
+    const fileEnd = sinon.spy();
+    emitter.on('fileEnd', fileEnd);
+    const inStream = new stream.PassThrough();
+    const options = {
+      emitter,
+      fileStreams: {
+        '-': inStream,
+      },
+      number: true,
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['-'], options, (err) => {
+      assert.ifError(err);
+      assert.deepEqual(progress, [9]);
+      sinon.assert.calledOnceWithExactly(fileEnd, '-', 2);
+      done();
+    });
+    inStream.end('a\n');
+  });
+
+  it('counts bytes of strings from transforms', (done) => {
+    const emitter = new EventEmitter();
+    const progress = [];
+    emitter.on('progress', (bytesWritten) => progress.push(bytesWritten));
+    const inStream = new stream.PassThrough();
+    const options = {
+      emitter,
+      fileStreams: {
+        '-': inStream,
+      },
+      transforms: [
+        async function* prefix(source) {
+          for await (const chunk of source) {
+            yield `\u00E9${chunk}`;
+          }
+        },
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['-'], options, (err, summary) => {
+      assert.ifError(err);
+      assert.strictEqual(String(options.outStream.read()), '\u00E9a\n');
+      assert.deepEqual(progress, [4]);
+      assert.strictEqual(summary.files[0].bytes, 4);
+      assert.strictEqual(summary.bytesRead, 4);
+      assert.strictEqual(summary.bytesWritten, 4);
+      done();
+    });
+    inStream.end('a\n');
+  });
+
+  it('counts bytes of strings from outputTransforms', (done) => {
+    const inStream = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        '-': inStream,
+      },
+      outputTransforms: [
+        async function* prefix(source) {
+          for await (const chunk of source) {
+            yield `\u00E9${chunk}`;
+          }
+        },
+      ],
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    nodecat(['-'], options, (err, summary) => {
+      assert.ifError(err);
+      assert.strictEqual(summary.bytesWritten, 4);
+      done();
+    });
+    inStream.end('a\n');
+  });
+
+  it('calls back with summary of files read', (done) => {
+    const errTest = new Error('test read error');
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.Readable({
+      read() {
+        this.destroy(errTest);
+      },
+    });
+    const options = {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      number: true,
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+    };
+    const fileNames = ['file1.txt', filePath, 'file1.txt', 'file2.txt'];
+    nodecat(fileNames, options, (err, summary) => {
+      assert.strictEqual(err, errTest);
+      assert.deepEqual(
+        summary.files.map(({ duration, ...fileSummary }) => {
+          assert.isAtLeast(duration, 0);
+          return fileSummary;
+        }),
+        [
+          {
+            fileName: 'file1.txt',
+            source: 'stream',
+            bytes: 4,
+            skipped: false,
+            error: undefined,
+          },
+          {
+            fileName: filePath,
+            source: 'file',
+            bytes: fileContent.length,
+            skipped: false,
+            error: undefined,
+          },
+          {
+            fileName: 'file1.txt',
+            source: 'stream',
+            bytes: 0,
+            skipped: true,
+            error: undefined,
+          },
+          {
+            fileName: 'file2.txt',
+            source: 'stream',
+            bytes: 0,
+            skipped: false,
+            error: errTest,
+          },
+        ],
+      );
+      assert.strictEqual(summary.bytesRead, 4 + fileContent.length);
+      options.outStream.end(() => {
+        assert.strictEqual(
+          summary.bytesWritten,
+          options.outStream.read().length,
+        );
+        assert.isAtLeast(summary.duration, 0);
+        done();
+      });
+    });
+    stream1.end('one\n');
+  });
+
+  it('concatenates in order with readAhead', (done) => {
+    const options = {
+      outStream: new stream.PassThrough(),
+      errStream: new stream.PassThrough(),
+      readAhead: 2,
+    };
+    const badPath = path.join(__dirname, 'nonexistent.txt');
+    nodecat([filePath, badPath, filePath, filePath], options, (err) => {
+      assert.instanceOf(err, Error);
+      assert.strictEqual(err.code, 'ENOENT');
+      assert.strictEqual(err.fileName, badPath);
+      options.outStream.end(() => {
+        assert.deepEqual(
+          options.outStream.read(),
+          Buffer.concat([fileContent, fileContent, fileContent]),
+        );
+        assert.match(
+          options.errStream.read(),
+          /^nodecat: .*nonexistent\.txt: .*ENOENT.*\n$/,
+        );
+        done();
+      });
+    });
+  });
+
+  describe('with readAhead', () => {
+    let createReadStreamSpy;
+    beforeEach(() => {
+      createReadStreamSpy = sinon.spy(fs, 'createReadStream');
+    });
+    afterEach(() => {
+      createReadStreamSpy.restore();
+    });
+
+    it('opens files after current file before their turn', (done) => {
+      const inStream = new stream.PassThrough();
+      const options = {
+        fileStreams: {
+          '-': inStream,
+        },
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+        readAhead: 1,
+      };
+      nodecat(['-', filePath, filePath], options, (err) => {
+        assert.ifError(err);
+        sinon.assert.calledTwice(createReadStreamSpy);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            options.outStream.read(),
+            Buffer.concat([Buffer.from('a'), fileContent, fileContent]),
+          );
+          done();
+        });
+      });
+      sinon.assert.calledOnceWithExactly(createReadStreamSpy, filePath);
+      setImmediate(() => {
+        sinon.assert.calledOnce(createReadStreamSpy);
+        inStream.end('a');
+      });
+    });
+
+    it('destroys read-ahead files after write error', (done) => {
+      const errTest = new Error('test write error');
+      const options = {
+        fileStreams: {
+          '-': new stream.PassThrough(),
+        },
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+        readAhead: 2,
+      };
+      nodecat(['-', filePath, filePath], options, (err) => {
+        assert.strictEqual(err, errTest);
+        sinon.assert.calledTwice(createReadStreamSpy);
+        for (const { returnValue } of createReadStreamSpy.getCalls()) {
+          assert.isTrue(returnValue.destroyed);
+        }
+        done();
+      });
+      options.outStream.emit('error', errTest);
+    });
+  });
+
+  describe('with regular file outStream', () => {
+    let tmpDir, outPath;
+    let createReadStreamSpy;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      outPath = path.join(tmpDir, 'out.txt');
+      createReadStreamSpy = sinon.spy(fs, 'createReadStream');
+    });
+    afterEach(() => {
+      sinon.restore();
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('copies named files without streams', (done) => {
+      const emitter = new EventEmitter();
+      const fileEndSpy = sinon.spy();
+      emitter.on('fileEnd', fileEndSpy);
+      const options = {
+        emitter,
+        outStream: fs.createWriteStream(outPath),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([filePath, filePath], options, (err, summary) => {
+        assert.ifError(err);
+        sinon.assert.notCalled(createReadStreamSpy);
+        sinon.assert.calledTwice(fileEndSpy);
+        sinon.assert.alwaysCalledWithExactly(
+          fileEndSpy,
+          filePath,
+          fileContent.length,
+        );
+        assert.strictEqual(summary.bytesRead, fileContent.length * 2);
+        assert.strictEqual(summary.bytesWritten, fileContent.length * 2);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            fs.readFileSync(outPath),
+            Buffer.concat([fileContent, fileContent]),
+          );
+          done();
+        });
+      });
+    });
+
+    it('uses streams for fileStreams', (done) => {
+      const options = {
+        fileStreams: {
+          '-': stream.Readable.from([Buffer.from('a')]),
+        },
+        outStream: fs.createWriteStream(outPath),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([filePath, '-', filePath], options, (err) => {
+        assert.ifError(err);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            fs.readFileSync(outPath),
+            Buffer.concat([fileContent, Buffer.from('a'), fileContent]),
+          );
+          done();
+        });
+      });
+    });
+
+    it('uses streams with format options', (done) => {
+      const options = {
+        outStream: fs.createWriteStream(outPath),
+        errStream: new stream.PassThrough(),
+        showEnds: true,
+      };
+      nodecat([filePath], options, (err) => {
+        assert.ifError(err);
+        sinon.assert.calledOnce(createReadStreamSpy);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            fs.readFileSync(outPath),
+            Buffer.from(String(fileContent).replaceAll('\n', '$\n')),
+          );
+          done();
+        });
+      });
+    });
+
+    it('continues with next file after open error', (done) => {
+      const badPath = path.join(tmpDir, 'nonexistent.txt');
+      const options = {
+        outStream: fs.createWriteStream(outPath),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([badPath, filePath], options, (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        assert.strictEqual(err.fileName, badPath);
+        // Error is the same as for output which is not a regular file
+        assert.strictEqual(err.syscall, 'open');
+        assert.include(String(options.errStream.read()), `open '${badPath}'`);
+        options.outStream.end(() => {
+          assert.deepEqual(fs.readFileSync(outPath), fileContent);
+          done();
+        });
+      });
+    });
+
+    it('skips input which is the output file', (done) => {
+      fs.writeFileSync(outPath, 'a');
+      const options = {
+        outStream: fs.createWriteStream(outPath, { flags: 'a' }),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([outPath, filePath], options, (err, summary) => {
+        assert.strictEqual(err.code, 'ESAMEFILE');
+        assert.strictEqual(err.fileName, outPath);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `nodecat: ${outPath}: input file is output file\n`,
+        );
+        assert.strictEqual(summary.files[0].error, err);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            fs.readFileSync(outPath),
+            Buffer.concat([Buffer.from('a'), fileContent]),
+          );
+          done();
+        });
+      });
+    });
+
+    it('checks opened input, not path, is the output file', (done) => {
+      fs.writeFileSync(outPath, 'a');
+      const statSpy = sinon.spy(fs, 'stat');
+      const options = {
+        outStream: fs.createWriteStream(outPath, { flags: 'a' }),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([outPath, filePath], options, (err) => {
+        assert.strictEqual(err.code, 'ESAMEFILE');
+        sinon.assert.notCalled(statSpy);
+        options.outStream.end(done);
+      });
+    });
+
+    it('reads byte ranges from input checked against output', (done) => {
+      const inPath = path.join(tmpDir, 'in.txt');
+      fs.writeFileSync(inPath, '0123456789');
+      const options = {
+        outStream: fs.createWriteStream(outPath),
+        errStream: new stream.PassThrough(),
+        ranges: true,
+      };
+      nodecat(
+        [`${inPath}@2:5`, `${inPath}@5:5`, `${inPath}@8:`],
+        options,
+        (err) => {
+          assert.ifError(err);
+          options.outStream.end(() => {
+            assert.strictEqual(fs.readFileSync(outPath, 'utf8'), '23489');
+            done();
+          });
+        },
+      );
+    });
+
+    it('skips input stream which is the output file', (done) => {
+      fs.writeFileSync(outPath, 'a');
+      const options = {
+        fileStreams: {
+          '-': fs.createReadStream(outPath, { fd: fs.openSync(outPath) }),
+        },
+        outStream: fs.createWriteStream(outPath, { flags: 'a' }),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat(['-'], options, (err) => {
+        options.fileStreams['-'].destroy();
+        assert.strictEqual(err.code, 'ESAMEFILE');
+        assert.strictEqual(err.fileName, '-');
+        options.outStream.end(() => {
+          assert.strictEqual(fs.readFileSync(outPath, 'utf8'), 'a');
+          done();
+        });
+      });
+    });
+
+    it('skips file: URL which is the output file', (done) => {
+      fs.writeFileSync(outPath, 'a');
+      const outUrl = pathToFileURL(outPath).href;
+      const options = {
+        outStream: fs.createWriteStream(outPath, { flags: 'a' }),
+        errStream: new stream.PassThrough(),
+        urls: true,
+      };
+      nodecat([outUrl, pathToFileURL(filePath).href], options, (err) => {
+        assert.strictEqual(err.code, 'ESAMEFILE');
+        assert.strictEqual(err.fileName, outUrl);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            fs.readFileSync(outPath),
+            Buffer.concat([Buffer.from('a'), fileContent]),
+          );
+          done();
+        });
+      });
+    });
+
+    it('skips input which is the output file with format options', (done) => {
+      fs.writeFileSync(outPath, 'a');
+      const options = {
+        outStream: fs.createWriteStream(outPath, { flags: 'a' }),
+        errStream: new stream.PassThrough(),
+        showEnds: true,
+      };
+      nodecat([outPath], options, (err) => {
+        assert.strictEqual(err.code, 'ESAMEFILE');
+        options.outStream.end(() => {
+          assert.strictEqual(fs.readFileSync(outPath, 'utf8'), 'a');
+          done();
+        });
+      });
+    });
+
+    it('reads empty input which is the output file', (done) => {
+      const options = {
+        outStream: fs.createWriteStream(outPath),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([outPath, filePath], options, (err) => {
+        assert.ifError(err);
+        options.outStream.end(() => {
+          assert.deepEqual(fs.readFileSync(outPath), fileContent);
+          done();
+        });
+      });
+    });
+
+    it('reports write errors as outStream errors', (done) => {
+      const errTest = new Error('test write error');
+      sinon.replace(fs, 'write', sinon.fake.yields(errTest));
+      const options = {
+        outStream: fs.createWriteStream(outPath),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([filePath, filePath], options, (err) => {
+        assert.strictEqual(err, errTest);
+        assert.isUndefined(err.fileName);
+        assert.isTrue(options.outStream.destroyed);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `nodecat: ${errTest}\n`,
+        );
+        done();
+      });
+    });
+  });
+
+  describe('with glob', () => {
+    let tmpDir;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      for (const name of ['b', 'a', 'c']) {
+        fs.writeFileSync(path.join(tmpDir, `${name}.txt`), name);
+      }
+    });
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('concatenates matching files in sorted order', (done) => {
+      const options = {
+        glob: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const pattern = path.join(tmpDir, '[ab].txt');
+      nodecat([pattern, filePath], options, (err, summary) => {
+        assert.ifError(err);
+        assert.deepEqual(
+          summary.files.map((fileSummary) => fileSummary.fileName),
+          [path.join(tmpDir, 'a.txt'), path.join(tmpDir, 'b.txt'), filePath],
+        );
+        options.outStream.end(() => {
+          assert.deepEqual(
+            options.outStream.read(),
+            Buffer.concat([Buffer.from('ab'), fileContent]),
+          );
+          done();
+        });
+      });
+    });
+
+    it('reports error for pattern without matches and continues', (done) => {
+      const badPattern = path.join(tmpDir, '*.html');
+      const options = {
+        glob: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat(
+        [path.join(tmpDir, 'a.txt'), badPattern, path.join(tmpDir, 'c*')],
+        options,
+        (err) => {
+          assert.strictEqual(err.code, 'ENOMATCH');
+          assert.strictEqual(err.fileName, badPattern);
+          assert.strictEqual(
+            String(options.errStream.read()),
+            `nodecat: ${badPattern}: No match\n`,
+          );
+          options.outStream.end(() => {
+            assert.strictEqual(String(options.outStream.read()), 'ac');
+            done();
+          });
+        },
+      );
+    });
+
+    it('does not expand names in fileStreams', (done) => {
+      const pattern = path.join(tmpDir, '*.txt');
+      const options = {
+        fileStreams: {
+          [pattern]: stream.Readable.from([Buffer.from('s')]),
+        },
+        glob: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([pattern], options, (err) => {
+        assert.ifError(err);
+        options.outStream.end(() => {
+          assert.strictEqual(String(options.outStream.read()), 's');
+          done();
+        });
+      });
+    });
+
+    it('does not expand names without glob', (done) => {
+      const pattern = path.join(tmpDir, '*.txt');
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([pattern], options, (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        done();
+      });
+    });
+  });
+
+  describe('with recursive', () => {
+    let tmpDir;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      fs.mkdirSync(path.join(tmpDir, 'sub'));
+      for (const name of ['10.sql', '9.sql', 'sub/1.sql', 'notes.txt']) {
+        fs.writeFileSync(path.join(tmpDir, name), `${name}\n`);
+      }
+    });
+    afterEach(() => {
+      sinon.restore();
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('concatenates files in directories', (done) => {
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+        recursive: true,
+      };
+      nodecat([tmpDir, filePath], options, (err, summary) => {
+        assert.ifError(err);
+        assert.deepEqual(
+          summary.files.map((fileSummary) => fileSummary.fileName),
+          [
+            path.join(tmpDir, '10.sql'),
+            path.join(tmpDir, '9.sql'),
+            path.join(tmpDir, 'notes.txt'),
+            path.join(tmpDir, 'sub', '1.sql'),
+            filePath,
+          ],
+        );
+        options.outStream.end(() => {
+          assert.deepEqual(
+            options.outStream.read(),
+            Buffer.concat([
+              Buffer.from('10.sql\n9.sql\nnotes.txt\nsub/1.sql\n'),
+              fileContent,
+            ]),
+          );
+          done();
+        });
+      });
+    });
+
+    it('concatenates included files in sort order', (done) => {
+      const options = {
+        include: ['*.sql'],
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+        recursive: true,
+        sort: 'natural',
+      };
+      nodecat([tmpDir], options, (err) => {
+        assert.ifError(err);
+        options.outStream.end(() => {
+          assert.strictEqual(
+            String(options.outStream.read()),
+            '9.sql\n10.sql\nsub/1.sql\n',
+          );
+          done();
+        });
+      });
+    });
+
+    it('reports EISDIR for directories without recursive', (done) => {
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([tmpDir], options, (err) => {
+        assert.strictEqual(err.code, 'EISDIR');
+        done();
+      });
+    });
+
+    it('throws TypeError for invalid sort', () => {
+      assert.throws(
+        () => nodecat.createReadStream([tmpDir], { sort: 'size' }),
+        TypeError,
+        /\bsort\b/,
+      );
+    });
+
+    it('throws TypeError for non-Array include', () => {
+      assert.throws(
+        () => nodecat.createReadStream([tmpDir], { include: '*.sql' }),
+        TypeError,
+        /\binclude\b/,
+      );
+    });
+
+    it('throws TypeError for invalid include pattern', () => {
+      assert.throws(
+        () => nodecat.createReadStream([tmpDir], { include: ['[9-0]*'] }),
+        TypeError,
+        /\binclude\b.*\[9-0\]\*/,
+      );
+    });
+
+    it('throws TypeError for invalid exclude pattern', () => {
+      assert.throws(
+        () => nodecat.createReadStream([tmpDir], { exclude: ['[z-a]'] }),
+        TypeError,
+        /\bexclude\b.*\[z-a\]/,
+      );
+    });
+
+    it('calls back with Error if expansion fails', (done) => {
+      const errTest = new Error('test');
+      sinon.stub(fs.promises, 'stat').resolves({
+        isDirectory() { throw errTest; },
+      });
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+        recursive: true,
+      };
+      nodecat([tmpDir], options, (err, summary) => {
+        assert.strictEqual(err, errTest);
+        assert.deepEqual(summary.files, []);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          'nodecat: Error: test\n',
+        );
+        done();
+      });
+    });
+  });
+
+  describe('with decompress', () => {
+    let tmpDir;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+    });
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('concatenates compressed and uncompressed files', (done) => {
+      const gzPath = path.join(tmpDir, 'log.1.gz');
+      fs.writeFileSync(
+        gzPath,
+        Buffer.concat([zlib.gzipSync('one\n'), zlib.gzipSync('two\n')]),
+      );
+      const plainPath = path.join(tmpDir, 'log');
+      fs.writeFileSync(plainPath, 'three\n');
+      const options = {
+        decompress: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([gzPath, plainPath], options, (err) => {
+        assert.ifError(err);
+        options.outStream.end(() => {
+          assert.strictEqual(
+            String(options.outStream.read()),
+            'one\ntwo\nthree\n',
+          );
+          done();
+        });
+      });
+    });
+
+    it('attributes corrupt content errors to file and continues', (done) => {
+      const badPath = path.join(tmpDir, 'bad.gz');
+      fs.writeFileSync(badPath, zlib.gzipSync('bad').subarray(0, -4));
+      const options = {
+        decompress: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([badPath, filePath], options, (err) => {
+        assert.strictEqual(err.fileName, badPath);
+        assert.include(
+          String(options.errStream.read()),
+          `nodecat: ${badPath}: `,
+        );
+        options.outStream.end(() => {
+          // Content before the error is written, as by zcat
+          assert.deepEqual(
+            options.outStream.read(),
+            Buffer.concat([Buffer.from('bad'), fileContent]),
+          );
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with compress', () => {
+    for (const [compress, decompressSync] of [
+      ['brotli', zlib.brotliDecompressSync],
+      ['deflate', zlib.inflateSync],
+      ['gzip', zlib.gunzipSync],
+    ]) {
+      it(`compresses output with ${compress}`, (done) => {
+        const options = {
+          compress,
+          compressLevel: 1,
+          outStream: new stream.PassThrough(),
+          errStream: new stream.PassThrough(),
+        };
+        nodecat([filePath, filePath], options, (err, summary) => {
+          assert.ifError(err);
+          options.outStream.end(() => {
+            const compressed = options.outStream.read();
+            assert.strictEqual(summary.bytesWritten, compressed.length);
+            assert.deepEqual(
+              decompressSync(compressed),
+              Buffer.concat([fileContent, fileContent]),
+            );
+            done();
+          });
+        });
+      });
+    }
+
+    it('finishes compressed output after read error', (done) => {
+      const errTest = new Error('test read error');
+      const inStream = new stream.PassThrough();
+      const options = {
+        compress: 'gzip',
+        fileStreams: {
+          '-': inStream,
+        },
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat(['-', filePath], options, (err) => {
+        assert.strictEqual(err, errTest);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            zlib.gunzipSync(options.outStream.read()),
+            Buffer.concat([Buffer.from('a'), fileContent]),
+          );
+          done();
+        });
+      });
+      inStream.write('a');
+      setImmediate(() => inStream.destroy(errTest));
+    });
+
+    it('treats compression errors as write errors', (done) => {
+      const errTest = new Error('test compress error');
+      const options = {
+        compress: 'gzip',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      // Compression stream is piped to outStream
+      options.outStream.once('pipe', (compressStream) => {
+        compressStream.destroy(errTest);
+      });
+      nodecat([filePath], options, (err) => {
+        assert.strictEqual(err, errTest);
+        assert.isUndefined(err.fileName);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `nodecat: ${errTest}\n`,
+        );
+        done();
+      });
+    });
+
+    it('throws TypeError for invalid compress', () => {
+      assert.throws(
+        () => nodecat.createReadStream([filePath], { compress: 'zip' }),
+        TypeError,
+        /\bcompress\b/,
+      );
+    });
+
+    it('throws TypeError for compressLevel out of range', () => {
+      assert.throws(
+        () => nodecat.createReadStream(
+          [filePath],
+          { compress: 'gzip', compressLevel: 10 },
+        ),
+        TypeError,
+        /\bcompressLevel\b/,
+      );
+    });
+  });
+
+  describe('with header, footer, and separator', () => {
+    let tmpDir;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      fs.writeFileSync(path.join(tmpDir, 'a'), 'a\n');
+      fs.writeFileSync(path.join(tmpDir, 'b'), 'bb\n');
+    });
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('writes headers and separators like head -v', (done) => {
+      const aPath = path.join(tmpDir, 'a');
+      const bPath = path.join(tmpDir, 'b');
+      const options = {
+        header: '==> {name} <==\n',
+        separator: '\n',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([aPath, bPath], options, (err, summary) => {
+        assert.ifError(err);
+        const expected =
+          `==> ${aPath} <==\na\n\n==> ${bPath} <==\nbb\n`;
+        assert.strictEqual(summary.bytesRead, 5);
+        assert.strictEqual(summary.bytesWritten, Buffer.byteLength(expected));
+        options.outStream.end(() => {
+          assert.strictEqual(String(options.outStream.read()), expected);
+          done();
+        });
+      });
+    });
+
+    it('formats index, size, and mtime in header and footer', (done) => {
+      const aPath = path.join(tmpDir, 'a');
+      const mtime = new Date('2020-01-02T03:04:05.000Z');
+      fs.utimesSync(aPath, mtime, mtime);
+      const options = {
+        fileStreams: {
+          '-': stream.Readable.from([Buffer.from('in\n')]),
+        },
+        header: '{index} {size} {mtime}\n',
+        footer: '[{name}]\n',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([aPath, '-'], options, (err) => {
+        assert.ifError(err);
+        options.outStream.end(() => {
+          assert.strictEqual(
+            String(options.outStream.read()),
+            `1 2 2020-01-02T03:04:05.000Z\na\n[${aPath}]\n2  \nin\n[-]\n`,
+          );
+          done();
+        });
+      });
+    });
+
+    it('does not write separator for missing file without header', (done) => {
+      const aPath = path.join(tmpDir, 'a');
+      const missingPath = path.join(tmpDir, 'missing');
+      const emptyPath = path.join(tmpDir, 'empty');
+      fs.writeFileSync(emptyPath, '');
+      const options = {
+        separator: '---\n',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat(
+        [missingPath, aPath, missingPath, emptyPath, missingPath, aPath],
+        options,
+        (err) => {
+          assert.instanceOf(err, AggregateError);
+          assert.strictEqual(err.errors.length, 3);
+          options.outStream.end(() => {
+            assert.strictEqual(
+              String(options.outStream.read()),
+              'a\n---\n---\na\n',
+            );
+            done();
+          });
+        },
+      );
+    });
+
+    it('does not write header or separator for missing file', (done) => {
+      const aPath = path.join(tmpDir, 'a');
+      const missingPath = path.join(tmpDir, 'missing');
+      const options = {
+        header: '{name}:',
+        separator: '\0',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([missingPath, aPath, missingPath], options, (err) => {
+        assert.instanceOf(err, AggregateError);
+        assert.strictEqual(err.errors[0].code, 'ENOENT');
+        assert.strictEqual(err.errors[0].fileName, missingPath);
+        options.outStream.end(() => {
+          assert.strictEqual(
+            String(options.outStream.read()),
+            `${aPath}:a\n`,
+          );
+          done();
+        });
+      });
+    });
+
+    it('writes text before formatting', (done) => {
+      const options = {
+        header: 'h\n',
+        number: true,
+        separator: '\n',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const aPath = path.join(tmpDir, 'a');
+      nodecat([aPath, aPath], options, (err) => {
+        assert.ifError(err);
+        options.outStream.end(() => {
+          assert.strictEqual(
+            String(options.outStream.read()),
+            '     1\th\n     2\ta\n     3\t\n     4\th\n     5\ta\n',
+          );
+          done();
+        });
+      });
+    });
+
+    it('throws TypeError for unknown placeholder', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { header: '{path}' }),
+        TypeError,
+        /unknown placeholder \{path\}/,
+      );
+    });
+
+    it('throws TypeError for non-string separator', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { separator: 0 }),
+        TypeError,
+      );
+    });
+  });
+
+  describe('with byte and line ranges', () => {
+    let tmpDir;
+    let digitsPath;
+    let linesPath;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      digitsPath = path.join(tmpDir, 'digits');
+      fs.writeFileSync(digitsPath, '0123456789');
+      linesPath = path.join(tmpDir, 'lines');
+      fs.writeFileSync(
+        linesPath,
+        Array.from({ length: 100 }, (_, n) => `${n + 1}\n`).join(''),
+      );
+    });
+    afterEach(() => {
+      sinon.restore();
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('reads byte ranges from operands with ranges', async () => {
+      assert.strictEqual(
+        await catToString(
+          [
+            `${digitsPath}@2:5`,
+            `${digitsPath}@8:`,
+            `${digitsPath}@:1`,
+            '-@1:3',
+          ],
+          {
+            fileStreams: { '-': stream.Readable.from([Buffer.from('abcd')]) },
+            ranges: true,
+          },
+        ),
+        '234890bc',
+      );
+    });
+
+    it('reads names with @ as files without ranges', (done) => {
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([`${digitsPath}@2:5`], options, (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        done();
+      });
+    });
+
+    it('applies skipBytes and maxBytes to each file', async () => {
+      assert.strictEqual(
+        await catToString(
+          [digitsPath, `${digitsPath}@5:`, digitsPath],
+          { maxBytes: 3, ranges: true, skipBytes: 1 },
+        ),
+        '123678123',
+      );
+    });
+
+    it('applies range suffixes to glob matches', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'letters'), 'abcdef');
+      assert.strictEqual(
+        await catToString(
+          [path.join(tmpDir, '{digits,letters}@1:3')],
+          { glob: true, ranges: true },
+        ),
+        '12bc',
+      );
+    });
+
+    it('reports invalid range suffix as error and continues', (done) => {
+      const badName = `${digitsPath}@5:2`;
+      const options = {
+        ranges: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([badName, `${digitsPath}@:2`], options, (err) => {
+        assert.strictEqual(err.fileName, badName);
+        assert.match(err.message, /invalid range/);
+        options.outStream.end(() => {
+          assert.strictEqual(String(options.outStream.read()), '01');
+          done();
+        });
+      });
+    });
+
+    it('selects lines from each file', async () => {
+      assert.strictEqual(
+        await catToString([linesPath, linesPath], { lines: { start: 97 } }),
+        '98\n99\n100\n98\n99\n100\n',
+      );
+    });
+
+    it('selects lines after decompress', async () => {
+      const gzPath = path.join(tmpDir, 'lines.gz');
+      fs.writeFileSync(gzPath, zlib.gzipSync(fs.readFileSync(linesPath)));
+      assert.strictEqual(
+        await catToString(
+          [gzPath],
+          { decompress: true, lines: { start: 9, end: 11 } },
+        ),
+        '10\n11\n',
+      );
+    });
+
+    it('stops reading file after selected lines', (done) => {
+      const readStreams = [];
+      const { createReadStream } = fs;
+      sinon.replace(fs, 'createReadStream', (...args) => {
+        const readStream = createReadStream(...args);
+        readStreams.push(readStream);
+        return readStream;
+      });
+      const options = {
+        lines: { end: 1 },
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([linesPath], options, (err) => {
+        assert.ifError(err);
+        assert.strictEqual(String(options.outStream.read()), '1\n');
+        assert.lengthOf(readStreams, 1);
+        assert.isTrue(readStreams[0].destroyed);
+        done();
+      });
+    });
+
+    it('throws TypeError for negative skipBytes', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { skipBytes: -1 }),
+        TypeError,
+      );
+    });
+
+    it('throws TypeError for lines with end before start', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { lines: { start: 2, end: 1 } }),
+        TypeError,
+      );
+    });
+  });
+
+  describe('with follow', () => {
+    let tmpDir;
+    let aPath;
+    let bPath;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      aPath = path.join(tmpDir, 'a');
+      fs.writeFileSync(aPath, 'a\n');
+      bPath = path.join(tmpDir, 'b');
+      fs.writeFileSync(bPath, 'b\n');
+    });
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('writes data appended to last file until signal aborted', (done) => {
+      const abortController = new AbortController();
+      const outStream = new stream.PassThrough({ encoding: 'utf8' });
+      let output = '';
+      outStream.on('data', (data) => {
+        output += data;
+        if (output.endsWith('b2\n')) {
+          abortController.abort();
+        }
+      });
+      const emitter = new EventEmitter();
+      emitter.on('fileEnd', (fileName) => {
+        if (fileName === bPath) {
+          fs.appendFileSync(aPath, 'a2\n');
+          fs.appendFileSync(bPath, 'b2\n');
+        }
+      });
+      const options = {
+        emitter,
+        follow: 'descriptor',
+        followInterval: 10,
+        signal: abortController.signal,
+        outStream,
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([aPath, bPath], options, (err, summary) => {
+        assert.ifError(err);
+        assert.strictEqual(summary.files[1].bytes, 5);
+        assert.strictEqual(output, 'a\nb\nb2\n');
+        done();
+      });
+    });
+
+    it('writes data appended to all files with followAll', (done) => {
+      const abortController = new AbortController();
+      const outStream = new stream.PassThrough({ encoding: 'utf8' });
+      let output = '';
+      outStream.on('data', (data) => {
+        output += data;
+        if (output.endsWith('b2\n')) {
+          fs.appendFileSync(aPath, 'a2\n');
+        } else if (output.endsWith('a2\n')) {
+          abortController.abort();
+        }
+      });
+      const options = {
+        follow: 'name',
+        followAll: true,
+        followInterval: 10,
+        header: '{name}:\n',
+        signal: abortController.signal,
+        outStream,
+        errStream: new stream.PassThrough(),
+      };
+      options.emitter = new EventEmitter();
+      options.emitter.on('fileEnd', (fileName) => {
+        if (fileName === bPath) {
+          fs.appendFileSync(bPath, 'b2\n');
+        }
+      });
+      nodecat([aPath, bPath], options, (err) => {
+        assert.ifError(err);
+        assert.strictEqual(
+          output,
+          `${aPath}:\na\n${bPath}:\nb\nb2\n${aPath}:\na2\n`,
+        );
+        done();
+      });
+    });
+
+    it('does not follow file replaced after read by descriptor', (done) => {
+      const abortController = new AbortController();
+      const outStream = new stream.PassThrough({ encoding: 'utf8' });
+      let output = '';
+      outStream.on('data', (data) => {
+        output += data;
+        if (output.endsWith('b2\n')) {
+          abortController.abort();
+        }
+      });
+      const errStream = new stream.PassThrough({ encoding: 'utf8' });
+      const emitter = new EventEmitter();
+      emitter.on('fileEnd', (fileName) => {
+        if (fileName === aPath) {
+          // Rotate a while b is read
+          fs.renameSync(aPath, `${aPath}.1`);
+          fs.writeFileSync(aPath, 'new a\n');
+        } else if (fileName === bPath) {
+          // Check a (before b) once following, then append to b
+          setTimeout(() => fs.appendFileSync(bPath, 'b2\n'), 30);
+        }
+      });
+      const options = {
+        emitter,
+        follow: 'descriptor',
+        followAll: true,
+        followInterval: 10,
+        signal: abortController.signal,
+        outStream,
+        errStream,
+      };
+      nodecat([aPath, bPath], options, (err) => {
+        assert.ifError(err);
+        assert.strictEqual(output, 'a\nb\nb2\n');
+        assert.include(
+          errStream.read(),
+          `${aPath}: file replaced, not followed`,
+        );
+        done();
+      });
+    });
+
+    it('does not follow missing file by descriptor', (done) => {
+      const missingPath = path.join(tmpDir, 'missing');
+      const options = {
+        follow: 'descriptor',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([aPath, missingPath], options, (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        done();
+      });
+    });
+
+    it('does not read or follow when signal is already aborted', (done) => {
+      const options = {
+        follow: 'name',
+        signal: AbortSignal.abort(),
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([aPath], options, (err) => {
+        assert.strictEqual(err.name, 'AbortError');
+        assert.isNull(options.outStream.read());
+        done();
+      });
+    });
+
+    it('throws TypeError for invalid follow', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { follow: true }),
+        TypeError,
+        /\bfollow\b/,
+      );
+    });
+  });
+
+  describe('with urls', () => {
+    let server;
+    let baseUrl;
+    before((done) => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/ok') {
+          res.end('ok\n');
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+    after((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('concatenates files and URLs', (done) => {
+      const options = {
+        urls: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const fileNames = [`${baseUrl}/ok`, 'data:,data%0A', filePath];
+      nodecat(fileNames, options, (err, summary) => {
+        assert.ifError(err);
+        assert.deepEqual(
+          summary.files.map((file) => file.source),
+          ['url', 'url', 'file'],
+        );
+        options.outStream.end(() => {
+          assert.deepEqual(
+            options.outStream.read(),
+            Buffer.concat([Buffer.from('ok\ndata\n'), fileContent]),
+          );
+          done();
+        });
+      });
+    });
+
+    it('reports non-2xx status as error for URL', (done) => {
+      const missingUrl = `${baseUrl}/missing`;
+      const options = {
+        urls: true,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([missingUrl, 'data:,a', 'nonexistent.txt'], options, (err) => {
+        assert.instanceOf(err, AggregateError);
+        assert.deepEqual(
+          err.errors.map((e) => e.fileName),
+          [missingUrl, 'nonexistent.txt'],
+        );
+        assert.strictEqual(err.errors[0].statusCode, 404);
+        assert.include(
+          String(options.errStream.read()),
+          `nodecat: ${missingUrl}: HTTP 404`,
+        );
+        options.outStream.end(() => {
+          assert.strictEqual(String(options.outStream.read()), 'a');
+          done();
+        });
+      });
+    });
+
+    it('reads URL-like names as files without urls', (done) => {
+      const options = {
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat(['data:,a'], options, (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        assert.strictEqual(err.fileName, 'data:,a');
+        done();
+      });
+    });
+  });
+
+  describe('with outputFile', () => {
+    let tmpDir;
+    let outPath;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      outPath = path.join(tmpDir, 'out');
+    });
+    afterEach(() => {
+      sinon.restore();
+      fs.rmSync(tmpDir, { recursive: true });
+    });
+
+    it('writes output to outputFile', async () => {
+      fs.writeFileSync(outPath, 'old content');
+      const summary = await nodecat([filePath, filePath], {
+        outputFile: outPath,
+      });
+      assert.deepEqual(
+        fs.readFileSync(outPath),
+        Buffer.concat([fileContent, fileContent]),
+      );
+      assert.strictEqual(summary.bytesWritten, fileContent.length * 2);
+      assert.deepEqual(fs.readdirSync(tmpDir), ['out']);
+    });
+
+    it('does not replace outputFile after read error', async () => {
+      fs.writeFileSync(outPath, 'old content');
+      try {
+        await nodecat([filePath, path.join(tmpDir, 'missing')], {
+          errStream: new stream.PassThrough(),
+          outputFile: outPath,
+        });
+        assert.fail('should reject');
+      } catch (err) {
+        assert.strictEqual(err.code, 'ENOENT');
+      }
+      assert.strictEqual(String(fs.readFileSync(outPath)), 'old content');
+      assert.deepEqual(fs.readdirSync(tmpDir), ['out']);
+    });
+
+    it('replaces outputFile after read error with keepPartial', async () => {
+      fs.writeFileSync(outPath, 'old content');
+      try {
+        await nodecat([filePath, path.join(tmpDir, 'missing')], {
+          errStream: new stream.PassThrough(),
+          keepPartial: true,
+          outputFile: outPath,
+        });
+        assert.fail('should reject');
+      } catch (err) {
+        assert.strictEqual(err.code, 'ENOENT');
+      }
+      assert.deepEqual(fs.readFileSync(outPath), fileContent);
+      assert.deepEqual(fs.readdirSync(tmpDir), ['out']);
+    });
+
+    it('does not create outputFile after read error', async () => {
+      try {
+        await nodecat([path.join(tmpDir, 'missing')], {
+          errStream: new stream.PassThrough(),
+          outputFile: outPath,
+        });
+        assert.fail('should reject');
+      } catch (err) {
+        assert.strictEqual(err.code, 'ENOENT');
+      }
+      assert.deepEqual(fs.readdirSync(tmpDir), []);
+    });
+
+    // Windows only supports the read-only bit of the mode
+    if (process.platform !== 'win32') {
+      it('sets mode of existing outputFile with preserveMode', async () => {
+        fs.writeFileSync(outPath, 'old content');
+        fs.chmodSync(outPath, 0o640);
+        await nodecat([filePath], { outputFile: outPath, preserveMode: true });
+        // eslint-disable-next-line no-bitwise
+        assert.strictEqual(fs.statSync(outPath).mode & 0o777, 0o640);
+      });
+    }
+
+    it('sets owner of existing outputFile with preserveOwnership', async () => {
+      fs.writeFileSync(outPath, 'old content');
+      const { gid, uid } = fs.statSync(outPath);
+      const fchownStub = sinon.stub(fs, 'fchown').yields();
+      await nodecat([filePath], {
+        outputFile: outPath,
+        preserveOwnership: true,
+      });
+      sinon.assert.calledOnceWithExactly(
+        fchownStub,
+        sinon.match.number,
+        uid,
+        gid,
+        sinon.match.func,
+      );
+      assert.deepEqual(fs.readFileSync(outPath), fileContent);
+    });
+
+    it('creates outputFile with preserveMode', async () => {
+      await nodecat([filePath], { outputFile: outPath, preserveMode: true });
+      assert.deepEqual(fs.readFileSync(outPath), fileContent);
+    });
+
+    it('rejects with Error if directory does not exist', async () => {
+      const errStream = new stream.PassThrough();
+      try {
+        await nodecat([filePath], {
+          errStream,
+          outputFile: path.join(tmpDir, 'missing', 'out'),
+        });
+        assert.fail('should reject');
+      } catch (err) {
+        assert.strictEqual(err.code, 'ENOENT');
+      }
+      assert.match(String(errStream.read()), /^nodecat: .*out: /);
+    });
+
+    it('rejects with TypeError for outputFile with outStream', async () => {
+      try {
+        await nodecat([filePath], {
+          outStream: new stream.PassThrough(),
+          outputFile: outPath,
+        });
+        assert.fail('should reject');
+      } catch (err) {
+        assert.instanceOf(err, TypeError);
+        assert.match(err.message, /\boutputFile\b/);
+      }
+    });
+  });
+
+  describe('with signal', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('stops and calls back with AbortError when aborted', (done) => {
+      const abortController = new AbortController();
+      const inStream = new stream.PassThrough();
+      inStream.write('a');
+      const outStream = new stream.PassThrough();
+      outStream.once('data', () => {
+        abortController.abort('test reason');
+      });
+      const options = {
+        fileStreams: {
+          '-': inStream,
+        },
+        signal: abortController.signal,
+        outStream,
+        errStream: new stream.PassThrough(),
+        // Output stage is unpiped from outStream
+        number: true,
+      };
+      nodecat(['-', filePath], options, (err, summary) => {
+        assert.strictEqual(err.name, 'AbortError');
+        assert.strictEqual(err.code, 'ABORT_ERR');
+        assert.strictEqual(err.cause, 'test reason');
+        assert.strictEqual(summary.files.length, 1);
+        // fileStreams are unpiped, but not destroyed
+        assert.isFalse(inStream.destroyed);
+        assert.strictEqual(listenerCount(inStream, 'data'), 0);
+        for (const event of ['close', 'drain', 'error', 'finish', 'unpipe']) {
+          assert.strictEqual(listenerCount(outStream, event), 0, event);
+        }
+        assert.isNull(options.errStream.read());
+        done();
+      });
+    });
+
+    it('destroys named input when aborted', (done) => {
+      const createReadStreamSpy = sinon.spy(fs, 'createReadStream');
+      const abortController = new AbortController();
+      const outStream = new stream.PassThrough();
+      outStream.once('data', () => {
+        abortController.abort();
+      });
+      const options = {
+        signal: abortController.signal,
+        outStream,
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([filePath, filePath], options, (err) => {
+        assert.strictEqual(err.name, 'AbortError');
+        sinon.assert.calledOnce(createReadStreamSpy);
+        assert.isTrue(createReadStreamSpy.firstCall.returnValue.destroyed);
+        done();
+      });
+    });
+
+    it('rejects with AbortError if signal is already aborted', async () => {
+      const outStream = new stream.PassThrough();
+      try {
+        await nodecat([filePath], {
+          signal: AbortSignal.abort(),
+          outStream,
+        });
+        assert.fail('should reject');
+      } catch (err) {
+        assert.strictEqual(err.name, 'AbortError');
+      }
+      assert.isNull(outStream.read());
+    });
+
+    it('destroys createReadStream with AbortError when aborted', async () => {
+      const abortController = new AbortController();
+      const readable = nodecat.createReadStream([filePath, '-'], {
+        fileStreams: {
+          '-': new stream.PassThrough(),
+        },
+        signal: abortController.signal,
+      });
+      readable.once('data', () => {
+        abortController.abort();
+      });
+      try {
+        await readAll(readable);
+        assert.fail('should reject');
+      } catch (err) {
+        assert.strictEqual(err.name, 'AbortError');
+      }
+    });
+  });
+
+  describe('with inactivityTimeout and timeout', () => {
+    let clock;
+    beforeEach(() => {
+      // Fake only timers, so that streams and fs callbacks run normally
+      clock = sinon.useFakeTimers({
+        toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'],
+      });
+    });
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('fails input with no data for inactivityTimeout', (done) => {
+      const inStream = new stream.PassThrough();
+      inStream.write('a');
+      const options = {
+        fileStreams: {
+          '-': inStream,
+        },
+        inactivityTimeout: 20,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat(['-', filePath, '-'], options, (err, summary) => {
+        assert.strictEqual(err.code, 'ETIMEDOUT');
+        assert.strictEqual(err.fileName, '-');
+        assert.strictEqual(
+          String(options.errStream.read()),
+          'nodecat: -: No data after 20 ms\n',
+        );
+        assert.strictEqual(summary.files[0].error, err);
+        // Timed out stream is unpiped and not read again
+        assert.isTrue(summary.files[2].skipped);
+        assert.isFalse(inStream.destroyed);
+        assert.strictEqual(listenerCount(inStream, 'data'), 0);
+        options.outStream.end(() => {
+          assert.deepEqual(
+            options.outStream.read(),
+            Buffer.concat([Buffer.from('a'), fileContent]),
+          );
+          done();
+        });
+      });
+      // Time out after 'a' is written
+      setImmediate(() => clock.tick(20));
+    });
+
+    it('does not fail input with data within inactivityTimeout', async () => {
+      const inStream = new stream.PassThrough();
+      let count = 0;
+      const interval = setInterval(() => {
+        count += 1;
+        if (count < 5) {
+          inStream.write('a');
+        } else {
+          clearInterval(interval);
+          inStream.end();
+        }
+      }, 60);
+      const options = {
+        fileStreams: {
+          '-': inStream,
+        },
+        inactivityTimeout: 100,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const promise = nodecat(['-'], options);
+      await clock.tickAsync(300);
+      await promise;
+      assert.strictEqual(String(options.outStream.read()), 'aaaa');
+    });
+
+    it('fails input not read within timeout', async () => {
+      const inStream = new stream.PassThrough();
+      const interval = setInterval(() => inStream.write('a'), 5);
+      const options = {
+        fileStreams: {
+          '-': inStream,
+        },
+        inactivityTimeout: 100,
+        timeout: 30,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      const result = new Promise((resolve) => {
+        nodecat(['-', filePath], options, (...args) => {
+          resolve(args);
+        });
+      });
+      await clock.tickAsync(30);
+      const [err, summary] = await result;
+      clearInterval(interval);
+      assert.strictEqual(err.code, 'ETIMEDOUT');
+      assert.strictEqual(err.fileName, '-');
+      assert.match(err.message, /\b30 ms\b/);
+      assert.deepEqual(summary.files[1].bytes, fileContent.length);
+    });
+
+    describe('with regular file outStream', () => {
+      let tmpDir;
+      let outPath;
+      let outStream;
+      beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+        outPath = path.join(tmpDir, 'out');
+        outStream = fs.createWriteStream(outPath);
+      });
+      afterEach(async () => {
+        await new Promise((resolve) => {
+          outStream.end(resolve);
+        });
+        fs.rmSync(tmpDir, { recursive: true });
+      });
+
+      it('waits for copy stopped by timeout to start next', async () => {
+        const aPath = path.join(tmpDir, 'a');
+        const bPath = path.join(tmpDir, 'b');
+        fs.writeFileSync(aPath, 'AAAAAAAA');
+        fs.writeFileSync(bPath, 'BBBBBBBB');
+
+        // Delay the first read (of a) until released
+        const { read } = fs;
+        let releaseRead;
+        const firstRead = new Promise((resolve) => {
+          sinon.replace(fs, 'read', (fd, buf, offset, length, pos, cb) => {
+            if (releaseRead === undefined) {
+              releaseRead = () => read(fd, buf, offset, length, pos, cb);
+              resolve();
+            } else {
+              read(fd, buf, offset, length, pos, cb);
+            }
+          });
+        });
+
+        const emitter = new EventEmitter();
+        const fileStartSpy = sinon.spy();
+        emitter.on('fileStart', fileStartSpy);
+        const result = new Promise((resolve) => {
+          const options = {
+            emitter,
+            inactivityTimeout: 1000,
+            outStream,
+            errStream: new stream.PassThrough(),
+          };
+          nodecat([aPath, bPath], options, (...args) => {
+            resolve(args);
+          });
+        });
+        await firstRead;
+        await clock.tickAsync(1000);
+        // b is not started (with copyBuffer) while a is being read into it
+        sinon.assert.calledOnceWithExactly(fileStartSpy, aPath);
+        releaseRead();
+        const [err, summary] = await result;
+        assert.strictEqual(err.code, 'ETIMEDOUT');
+        assert.strictEqual(err.fileName, aPath);
+        assert.strictEqual(summary.files[1].bytes, 8);
+        assert.strictEqual(fs.readFileSync(outPath, 'utf8'), 'BBBBBBBB');
+      });
+
+      it('calls back after pending copy write when aborted', async () => {
+        // Delay the first write until released
+        const { write } = fs;
+        let finishWrite;
+        const firstWrite = new Promise((resolve) => {
+          sinon.replace(fs, 'write', (...args) => {
+            if (finishWrite === undefined) {
+              finishWrite = () => write(...args);
+              resolve();
+            } else {
+              write(...args);
+            }
+          });
+        });
+
+        const abortController = new AbortController();
+        const callback = sinon.spy();
+        const result = new Promise((resolve) => {
+          const options = {
+            signal: abortController.signal,
+            outStream,
+            errStream: new stream.PassThrough(),
+          };
+          nodecat([filePath, filePath], options, (...args) => {
+            callback();
+            resolve(args);
+          });
+        });
+        await firstWrite;
+        abortController.abort();
+        await new Promise(setImmediate);
+        // Caller may write to outStream once called back
+        sinon.assert.notCalled(callback);
+        finishWrite();
+        const [err, summary] = await result;
+        assert.strictEqual(err.name, 'AbortError');
+        assert.strictEqual(summary.files.length, 1);
+        assert.deepEqual(fs.readFileSync(outPath), fileContent);
+      });
+
+      it('does not count copy waiting for output as inactive', async () => {
+        // Delay the first write until after inactivityTimeout
+        const { write } = fs;
+        let finishWrite;
+        let onFirstWrite;
+        const firstWrite = new Promise((resolve) => {
+          onFirstWrite = resolve;
+        });
+        sinon.replace(fs, 'write', (...args) => {
+          if (onFirstWrite) {
+            finishWrite = () => write(...args);
+            onFirstWrite();
+            onFirstWrite = undefined;
+          } else {
+            write(...args);
+          }
+        });
+
+        const options = {
+          inactivityTimeout: 1000,
+          outStream,
+          errStream: new stream.PassThrough(),
+        };
+        const promise = nodecat([filePath], options);
+        await firstWrite;
+        clock.tick(2000);
+        finishWrite();
+        const summary = await promise;
+        assert.strictEqual(summary.bytesWritten, fileContent.length);
+        assert.deepEqual(fs.readFileSync(outPath), fileContent);
+      });
+    });
+
+    for (const name of ['inactivityTimeout', 'timeout']) {
+      it(`throws TypeError for non-positive ${name}`, () => {
+        assert.throws(
+          () => nodecat.createReadStream([], { [name]: 0 }),
+          TypeError,
+          new RegExp(`\\b${name}\\b`),
+        );
+      });
+    }
+  });
+
+  describe('with onError', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('continues after read error with continue', (done) => {
+      const badPath = path.join(__dirname, 'nonexistent.txt');
+      const options = {
+        onError: 'continue',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([badPath, filePath], options, (err, summary) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        assert.strictEqual(summary.files.length, 2);
+        assert.deepEqual(options.outStream.read(), fileContent);
+        done();
+      });
+    });
+
+    it('does not open remaining files with fail-fast', (done) => {
+      const createReadStreamSpy = sinon.spy(fs, 'createReadStream');
+      const badPath = path.join(__dirname, 'nonexistent.txt');
+      const options = {
+        fileStreams: {
+          '-': new stream.PassThrough(),
+        },
+        follow: 'name',
+        onError: 'fail-fast',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([filePath, badPath, filePath, '-'], options, (err, summary) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        assert.strictEqual(err.fileName, badPath);
+        assert.deepEqual(
+          summary.files.map((file) => file.fileName),
+          [filePath, badPath],
+        );
+        sinon.assert.calledTwice(createReadStreamSpy);
+        assert.deepEqual(options.outStream.read(), fileContent);
+        done();
+      });
+    });
+
+    it('reopens file after transient error with retry', (done) => {
+      const createReadStreamStub = sinon.stub(fs, 'createReadStream');
+      createReadStreamStub.callThrough();
+      createReadStreamStub.onFirstCall().callsFake(() => {
+        const readable = new stream.Readable({ read() {} });
+        readable.push(fileContent.subarray(0, 10));
+        setImmediate(() => {
+          const errTest = new Error('EIO: i/o error, read');
+          errTest.code = 'EIO';
+          readable.destroy(errTest);
+        });
+        return readable;
+      });
+      const options = {
+        onError: 'retry',
+        retryDelay: 1,
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([filePath], options, (err) => {
+        assert.ifError(err);
+        assert.deepEqual(options.outStream.read(), fileContent);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `nodecat: ${filePath}: EIO: i/o error, read (retry 1 of 3)\n`,
+        );
+        done();
+      });
+    });
+
+    it('does not retry other errors with retry', (done) => {
+      const badPath = path.join(__dirname, 'nonexistent.txt');
+      const options = {
+        onError: 'retry',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([badPath, filePath], options, (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        assert.notInclude(String(options.errStream.read()), 'retry');
+        assert.deepEqual(options.outStream.read(), fileContent);
         done();
       });
     });
+
+    it('throws TypeError for invalid onError', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { onError: 'stop' }),
+        TypeError,
+        /\bonError\b/,
+      );
+    });
+
+    it('throws TypeError for negative retries', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { retries: -1 }),
+        TypeError,
+        /\bretries\b/,
+      );
+    });
   });
 
-  it('concatenates two named files to outStream', (done) => {
-    const options = {
-      outStream: new stream.PassThrough(),
-      errStream: new stream.PassThrough(),
-    };
-    nodecat([filePath, filePath], options, (err) => {
-      assert.ifError(err);
-      options.outStream.end(() => {
-        assert.deepEqual(
-          options.outStream.read(),
-          Buffer.concat([fileContent, fileContent]),
-        );
-        assert.strictEqual(options.errStream.read(), null);
+  describe('with report', () => {
+    it('writes JSON record for read error with json', (done) => {
+      const badPath = path.join(__dirname, 'nonexistent.txt');
+      const options = {
+        report: 'json',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([badPath, filePath], options, (err) => {
+        assert.strictEqual(err.code, 'ENOENT');
+        const record = JSON.parse(options.errStream.read());
+        assert.deepEqual(record, {
+          type: 'error',
+          file: badPath,
+          output: false,
+          code: 'ENOENT',
+          errno: err.errno,
+          syscall: 'open',
+          message: err.message,
+        });
+        assert.deepEqual(options.outStream.read(), fileContent);
         done();
       });
     });
-  });
 
-  it('concatenates stdout to outStream', (done) => {
-    const testData = Buffer.from('Stuff');
-    const inStream = new stream.PassThrough();
-    const options = {
-      fileStreams: {
-        '-': inStream,
-      },
-      outStream: new stream.PassThrough(),
-      errStream: new stream.PassThrough(),
-    };
-    nodecat(['-'], options, (err) => {
-      assert.ifError(err);
-      options.outStream.end(() => {
-        assert.deepEqual(options.outStream.read(), testData);
-        assert.strictEqual(options.errStream.read(), null);
+    it('writes JSON record for write error with json', (done) => {
+      const errTest = new Error('test write error');
+      const inStream = new stream.PassThrough();
+      const options = {
+        fileStreams: {
+          '-': inStream,
+        },
+        report: 'json',
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat(['-'], options, (err) => {
+        assert.strictEqual(err, errTest);
+        assert.deepEqual(JSON.parse(options.errStream.read()), {
+          type: 'error',
+          file: null,
+          output: true,
+          code: null,
+          errno: null,
+          syscall: null,
+          message: 'test write error',
+        });
         done();
       });
+      options.outStream.emit('error', errTest);
+    });
+
+    it('throws TypeError for invalid report', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { report: 'xml' }),
+        TypeError,
+        /\breport\b/,
+      );
     });
-    inStream.end(testData);
   });
 
-  it('concatenates stdout once when named twice', (done) => {
-    const testData = Buffer.from('Stuff');
-    const inStream = new stream.PassThrough();
-    const options = {
-      fileStreams: {
-        '-': inStream,
-      },
-      outStream: new stream.PassThrough(),
-      errStream: new stream.PassThrough(),
-    };
-    nodecat(['-', '-'], options, (err) => {
-      assert.ifError(err);
-      options.outStream.end(() => {
-        assert.deepEqual(options.outStream.read(), testData);
-        assert.strictEqual(options.errStream.read(), null);
+  describe('with checksum', () => {
+    it('computes checksum of output, with header', async () => {
+      const options = {
+        checksum: 'sha256',
+        header: '{name}\n',
+        outStream: new stream.PassThrough(),
+      };
+      const summary = await nodecat([filePath], options);
+      const output = options.outStream.read();
+      assert.deepEqual(output, Buffer.concat([
+        Buffer.from(`${filePath}\n`),
+        fileContent,
+      ]));
+      assert.strictEqual(summary.checksum, sha256(output));
+      assert.isUndefined(summary.files[0].checksum);
+    });
+
+    it('computes checksum of compressed output', async () => {
+      const options = {
+        checksum: 'md5',
+        compress: 'gzip',
+        outStream: new stream.PassThrough(),
+      };
+      const summary = await nodecat([filePath], options);
+      assert.strictEqual(
+        summary.checksum,
+        createHash('md5').update(options.outStream.read()).digest('hex'),
+      );
+    });
+
+    it('computes checksum of each input with checksumInputs', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecat-test-'));
+      try {
+        const outPath = path.join(tmpDir, 'out');
+        const inStream = new stream.PassThrough();
+        inStream.end('stdin\n');
+        const summary = await nodecat([filePath, '-'], {
+          checksum: 'sha256',
+          checksumInputs: true,
+          fileStreams: { '-': inStream },
+          outputFile: outPath,
+        });
+        assert.deepEqual(
+          summary.files.map((file) => file.checksum),
+          [sha256(fileContent), sha256('stdin\n')],
+        );
+        assert.strictEqual(summary.checksum, sha256(fs.readFileSync(outPath)));
+      } finally {
+        fs.rmSync(tmpDir, { recursive: true });
+      }
+    });
+
+    it('computes checksum of byte range before transforms', async () => {
+      const options = {
+        checksum: 'sha256',
+        checksumInputs: true,
+        ranges: true,
+        transforms: [() => new stream.PassThrough()],
+        outStream: new stream.PassThrough(),
+      };
+      const summary = await nodecat([`${filePath}@2:10`], options);
+      assert.strictEqual(
+        summary.files[0].checksum,
+        sha256(fileContent.subarray(2, 10)),
+      );
+    });
+
+    it('reports ECHECKSUM for input which does not match verify', (done) => {
+      const options = {
+        checksum: 'sha256',
+        verify: new Map([
+          [filePath, sha256(fileContent).toUpperCase()],
+          ['-', sha256('other')],
+        ]),
+        fileStreams: {
+          '-': new stream.PassThrough(),
+        },
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      options.fileStreams['-'].end('stdin\n');
+      nodecat([filePath, '-'], options, (err, summary) => {
+        assert.strictEqual(err.code, 'ECHECKSUM');
+        assert.strictEqual(err.fileName, '-');
+        assert.strictEqual(summary.files[0].error, undefined);
+        assert.strictEqual(summary.files[1].checksum, sha256('stdin\n'));
+        assert.strictEqual(
+          String(options.errStream.read()),
+          'nodecat: -: sha256 checksum does not match\n',
+        );
         done();
       });
     });
-    inStream.end(testData);
+
+    it('reports ECHECKSUM for verify names which are not read', (done) => {
+      const relPath = `./${path.relative('.', filePath)}`;
+      const options = {
+        checksum: 'sha256',
+        verify: new Map([
+          [relPath, sha256(fileContent)],
+          [filePath, sha256(fileContent)],
+          ['missing.txt', sha256('missing')],
+        ]),
+        outStream: new stream.PassThrough(),
+        errStream: new stream.PassThrough(),
+      };
+      nodecat([filePath], options, (err, summary) => {
+        assert.instanceOf(err, AggregateError);
+        assert.deepEqual(
+          err.errors.map((e) => [e.code, e.fileName]),
+          [['ECHECKSUM', relPath], ['ECHECKSUM', 'missing.txt']],
+        );
+        assert.strictEqual(summary.files.length, 1);
+        assert.strictEqual(summary.files[0].error, undefined);
+        assert.strictEqual(
+          String(options.errStream.read()),
+          `nodecat: ${relPath}: sha256 checksum listed for unread file\n`
+          + 'nodecat: missing.txt: sha256 checksum listed for unread file\n',
+        );
+        done();
+      });
+    });
+
+    it('throws TypeError for unsupported checksum', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { checksum: 'sha0' }),
+        TypeError,
+        /\bchecksum\b/,
+      );
+    });
+
+    it('throws TypeError for verify without checksum', () => {
+      assert.throws(
+        () => nodecat.createReadStream([], { verify: new Map() }),
+        TypeError,
+        /\bverify requires options\.checksum\b/,
+      );
+    });
   });
 
   it('continues with next file after read error', (done) => {
@@ -413,6 +2990,46 @@ describe('nodecat', () => {
     });
   });
 
+  it('yields TypeError for non-Array options.transforms', (done) => {
+    nodecat([], { transforms: () => {} }, (err) => {
+      assert.instanceOf(err, TypeError);
+      assert.match(err.message, /\boptions.transforms\b/);
+      done();
+    });
+  });
+
+  it('yields TypeError for non-function in options.transforms', (done) => {
+    nodecat([], { transforms: [new stream.PassThrough()] }, (err) => {
+      assert.instanceOf(err, TypeError);
+      assert.match(err.message, /\boptions.transforms\b/);
+      done();
+    });
+  });
+
+  it('yields TypeError for non-stream options.outputTransforms', (done) => {
+    nodecat([], { outputTransforms: [() => {}] }, (err) => {
+      assert.instanceOf(err, TypeError);
+      assert.match(err.message, /\boptions.outputTransforms\b/);
+      done();
+    });
+  });
+
+  it('yields TypeError for non-EventEmitter options.emitter', (done) => {
+    nodecat([], { emitter: {} }, (err) => {
+      assert.instanceOf(err, TypeError);
+      assert.match(err.message, /\boptions.emitter\b/);
+      done();
+    });
+  });
+
+  it('yields TypeError for negative options.readAhead', (done) => {
+    nodecat([], { readAhead: -1 }, (err) => {
+      assert.instanceOf(err, TypeError);
+      assert.match(err.message, /\boptions.readAhead\b/);
+      done();
+    });
+  });
+
   it('returns undefined when called with a function', (done) => {
     const result = nodecat([], done);
     assert.strictEqual(result, undefined);
@@ -437,8 +3054,9 @@ describe('nodecat', () => {
       ended = true;
       inStream.end();
     });
-    return nodecat(['-'], options).then(() => {
+    return nodecat(['-'], options).then((summary) => {
       assert(ended);
+      assert.strictEqual(summary.files.length, 1);
     });
   });
 
@@ -487,3 +3105,363 @@ describe('nodecat', () => {
     );
   });
 });
+
+describe('nodecat.createReadStream', () => {
+  it('returns a Readable of concatenated files', async () => {
+    const inStream = new stream.PassThrough();
+    const readable = nodecat.createReadStream([filePath, '-', filePath], {
+      fileStreams: {
+        '-': inStream,
+      },
+      errStream: new stream.PassThrough(),
+    });
+    assert.instanceOf(readable, stream.Readable);
+    inStream.end('Stuff');
+    assert.deepEqual(
+      await readAll(readable),
+      Buffer.concat([fileContent, Buffer.from('Stuff'), fileContent]),
+    );
+  });
+
+  it('applies formatting and transforms', async () => {
+    const inStream = new stream.PassThrough();
+    const readable = nodecat.createReadStream(['-'], {
+      fileStreams: {
+        '-': inStream,
+      },
+      number: true,
+      outputTransforms: [
+        async function* addSuffix(source) {
+          yield* source;
+          yield 'END';
+        },
+      ],
+    });
+    inStream.end('a\nb\n');
+    assert.strictEqual(
+      String(await readAll(readable)),
+      '     1\ta\n     2\tb\nEND',
+    );
+  });
+
+  it('does not read files before stream is read', (done) => {
+    const inStream = new stream.PassThrough();
+    nodecat.createReadStream(['-'], {
+      fileStreams: {
+        '-': inStream,
+      },
+    });
+    inStream.write('data');
+    setImmediate(() => {
+      assert.strictEqual(listenerCount(inStream, 'data'), 0);
+      assert.deepEqual(inStream.read(), Buffer.from('data'));
+      done();
+    });
+  });
+
+  it('does not open next file until output is read', async () => {
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const readable = nodecat.createReadStream(['file1.txt', 'file2.txt'], {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+    });
+    readable.once('readable', () => {});
+    const chunk = Buffer.alloc(readable.readableHighWaterMark);
+    for (let i = 0; i < 4; i += 1) {
+      stream1.write(chunk);
+    }
+    stream1.end();
+    await new Promise(setImmediate);
+    assert.strictEqual(listenerCount(stream2, 'data'), 0);
+    readable.removeAllListeners('readable');
+    stream2.end();
+    const data = await readAll(readable);
+    assert.strictEqual(data.length, readable.readableHighWaterMark * 4);
+  });
+
+  it('emits first read error and stops by default', async () => {
+    const errTest = new Error('test read error');
+    const inStream = new stream.PassThrough();
+    const options = {
+      fileStreams: {
+        '-': inStream,
+        [filePath]: {
+          pipe: sinon.mock().never(),
+        },
+      },
+      errStream: new stream.PassThrough(),
+    };
+    const readable = nodecat.createReadStream(['-', filePath], options);
+    readable.resume();
+    setImmediate(() => inStream.emit('error', errTest));
+    const err = await new Promise((resolve) => {
+      readable.once('error', resolve);
+    });
+    assert.strictEqual(err, errTest);
+    assert.strictEqual(err.fileName, '-');
+    assert.match(
+      options.errStream.read(),
+      /^nodecat: -: .*test read error.*\n$/,
+    );
+  });
+
+  it('emits collected errors after output with collectErrors', async () => {
+    const errTest1 = new Error('test read error 1');
+    const errTest2 = new Error('test read error 2');
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.PassThrough();
+    const readable = nodecat.createReadStream(
+      ['file1.txt', 'file2.txt', filePath],
+      {
+        collectErrors: true,
+        fileStreams: {
+          'file1.txt': stream1,
+          'file2.txt': stream2,
+        },
+        errStream: new stream.PassThrough(),
+      },
+    );
+    const chunks = [];
+    readable.on('data', (chunk) => chunks.push(chunk));
+    readable.once('end', sinon.mock().never());
+    setImmediate(() => {
+      stream1.emit('error', errTest1);
+      queueMicrotask(() => {
+        stream2.emit('error', errTest2);
+      });
+    });
+    const err = await new Promise((resolve) => {
+      readable.once('error', resolve);
+    });
+    assert.instanceOf(err, AggregateError);
+    assert.deepEqual(err.errors, [errTest1, errTest2]);
+    assert.deepEqual(Buffer.concat(chunks), fileContent);
+  });
+
+  it('emits outputTransforms errors', async () => {
+    const errTest = new Error('test output transform error');
+    const readable = nodecat.createReadStream([filePath], {
+      collectErrors: true,
+      outputTransforms: [
+        new stream.Transform({
+          transform(chunk, encoding, cb) {
+            cb(errTest);
+          },
+        }),
+      ],
+      errStream: new stream.PassThrough(),
+    });
+    readable.resume();
+    const err = await new Promise((resolve) => {
+      readable.once('error', resolve);
+    });
+    assert.strictEqual(err, errTest);
+  });
+
+  it('stops reading when destroyed', (done) => {
+    const inStream = new stream.PassThrough();
+    const readable = nodecat.createReadStream(['-', filePath], {
+      fileStreams: {
+        '-': inStream,
+        [filePath]: {
+          pipe: sinon.mock().never(),
+        },
+      },
+    });
+    readable.once('data', () => {
+      readable.destroy();
+      inStream.end('more');
+      setImmediate(() => {
+        assert.strictEqual(listenerCount(inStream, 'error'), 0);
+        done();
+      });
+    });
+    inStream.write('data');
+  });
+
+  it('throws TypeError for non-Array-like fileNames', () => {
+    assert.throws(
+      () => nodecat.createReadStream('file.txt'),
+      TypeError,
+      /\bfileNames\b/,
+    );
+  });
+});
+
+describe('nodecat.iterate', () => {
+  it('yields chunks tagged with file name and offset', async () => {
+    const iterable = nodecat.iterate([filePath, '-', '-'], {
+      fileStreams: {
+        '-': stream.Readable.from([Buffer.from('ab'), Buffer.from('cd')]),
+      },
+    });
+    const records = await collect(iterable);
+    assert.deepEqual(
+      Buffer.concat(records
+        .filter((record) => record.fileName === filePath)
+        .map((record) => record.chunk)),
+      fileContent,
+    );
+    assert.strictEqual(records[0].offset, 0);
+    const stdinRecords = records.filter((record) => record.fileName === '-');
+    assert.deepEqual(stdinRecords, [
+      { fileName: '-', chunk: Buffer.from('ab'), offset: 0 },
+      { fileName: '-', chunk: Buffer.from('cd'), offset: 2 },
+    ]);
+  });
+
+  it('throws collected errors after reading later files', async () => {
+    const errTest1 = new Error('test read error 1');
+    const errTest2 = new Error('test read error 2');
+    const stream1 = new stream.PassThrough();
+    const stream2 = new stream.Readable({
+      read() {
+        this.destroy(errTest2);
+      },
+    });
+    const options = {
+      fileStreams: {
+        'file1.txt': stream1,
+        'file2.txt': stream2,
+      },
+      errStream: new stream.PassThrough(),
+    };
+    const records = [];
+    const iterator = nodecat.iterate(
+      ['file1.txt', filePath, 'file2.txt'],
+      options,
+    );
+    setImmediate(() => stream1.destroy(errTest1));
+    try {
+      for await (const record of iterator) {
+        records.push(record);
+      }
+      assert.fail('should throw');
+    } catch (err) {
+      assert.instanceOf(err, AggregateError);
+      assert.deepEqual(err.errors, [errTest1, errTest2]);
+      assert.strictEqual(errTest1.fileName, 'file1.txt');
+      assert.strictEqual(errTest2.fileName, 'file2.txt');
+    }
+    assert.deepEqual(
+      Buffer.concat(records.map((record) => record.chunk)),
+      fileContent,
+    );
+    assert.match(
+      String(options.errStream.read()),
+      /^nodecat: file1.txt: .*test read error 1.*\n/,
+    );
+  });
+
+  it('yields error records with yieldErrors', async () => {
+    const errTest = new Error('test read error');
+    const inStream = new stream.PassThrough();
+    const iterable = nodecat.iterate(['-', '-'], {
+      fileStreams: {
+        '-': inStream,
+      },
+      errStream: new stream.PassThrough(),
+      yieldErrors: true,
+    });
+    inStream.write('ab');
+    setImmediate(() => inStream.destroy(errTest));
+    const records = await collect(iterable);
+    assert.deepEqual(records, [
+      { fileName: '-', chunk: Buffer.from('ab'), offset: 0 },
+      { fileName: '-', error: errTest, offset: 2 },
+    ]);
+  });
+
+  it('expands glob patterns with glob', async () => {
+    const pattern = path.join(path.dirname(filePath), 'packag[a-e].js?n');
+    const badPattern = path.join(path.dirname(filePath), '*.nonexistent');
+    const records = await collect(nodecat.iterate([badPattern, pattern], {
+      errStream: new stream.PassThrough(),
+      glob: true,
+      yieldErrors: true,
+    }));
+    assert.strictEqual(records[0].fileName, badPattern);
+    assert.strictEqual(records[0].error.code, 'ENOMATCH');
+    assert.deepEqual(records.slice(1), [
+      { fileName: filePath, chunk: fileContent, offset: 0 },
+    ]);
+  });
+
+  it('reads byte range of file with ranges', async () => {
+    const records = await collect(nodecat.iterate([`${filePath}@2:5`], {
+      ranges: true,
+    }));
+    assert.deepEqual(records, [
+      {
+        fileName: `${filePath}@2:5`,
+        chunk: fileContent.subarray(2, 5),
+        offset: 2,
+      },
+    ]);
+  });
+
+  it('yields error records for invalid ranges', async () => {
+    const records = await collect(nodecat.iterate([`${filePath}@x`], {
+      errStream: new stream.PassThrough(),
+      ranges: true,
+      yieldErrors: true,
+    }));
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].fileName, `${filePath}@x`);
+    assert.instanceOf(records[0].error, Error);
+  });
+
+  it('slices fileStreams with skipBytes and maxBytes', async () => {
+    const records = await collect(nodecat.iterate(['-'], {
+      fileStreams: {
+        '-': stream.Readable.from([Buffer.from('abc'), Buffer.from('def')]),
+      },
+      maxBytes: 3,
+      skipBytes: 2,
+    }));
+    assert.deepEqual(
+      Buffer.concat(records.map((record) => record.chunk)),
+      Buffer.from('cde'),
+    );
+    assert.strictEqual(records[0].offset, 2);
+  });
+
+  it('stops after first error with fail-fast', async () => {
+    const badPath = path.join(__dirname, 'nonexistent.txt');
+    const records = await collect(nodecat.iterate([badPath, filePath], {
+      errStream: new stream.PassThrough(),
+      onError: 'fail-fast',
+      yieldErrors: true,
+    }));
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].error.code, 'ENOENT');
+  });
+
+  it('does not destroy fileStreams when iteration stops', async () => {
+    const inStream = new stream.PassThrough();
+    inStream.write('ab');
+    // eslint-disable-next-line no-unreachable-loop
+    for await (const record of nodecat.iterate(['-'], {
+      fileStreams: {
+        '-': inStream,
+      },
+    })) {
+      assert.strictEqual(record.fileName, '-');
+      break;
+    }
+    assert.isFalse(inStream.destroyed);
+  });
+
+  it('throws TypeError for non-Array-like fileNames', async () => {
+    try {
+      await nodecat.iterate('file.txt').next();
+      assert.fail('should throw');
+    } catch (err) {
+      assert.instanceOf(err, TypeError);
+      assert.match(err.message, /\bfileNames\b/);
+    }
+  });
+});